@@ -14,6 +14,7 @@ export default [
         setInterval: "readonly",
         clearTimeout: "readonly",
         clearInterval: "readonly",
+        AbortController: "readonly",
       },
     },
     rules: {
@@ -3,6 +3,7 @@
 import IcalExpander from "ical-expander";
 import parseArgs from "minimist";
 import dotenv from "dotenv";
+import { existsSync } from "fs";
 import {
   parseAttendee,
   getPropertyValue,
@@ -10,7 +11,33 @@ import {
   parseConfig,
   validateConfig,
   setDebugMode,
+  setTimezone,
   createOrgFile,
+  loadTemplates,
+  snapshotEvents,
+  loadSnapshot,
+  saveSnapshot,
+  diffEvents,
+  formatReport,
+  commitCache,
+  outputKey,
+  readOutputKey,
+  writeOutputKey,
+  applySource,
+  mapTodo,
+  makeStatusTag,
+  makeRepeater,
+  isExcludedDate,
+  parseAlarms,
+  parseMeeting,
+  getCategories,
+  makePropertyTags,
+  applyPrivacy,
+  icalTimeToDate,
+  getOriginalZone,
+  buildRequestHeaders,
+  redactConfig,
+  redactUrl,
   debug as libDebug,
 } from "./lib.js";
 
@@ -33,10 +60,18 @@ function doHelp() {
     "  -f                 Number of days into the future to include events from. Default 365",
     "  -h | --help        Display short help message",
     "  -c config_file     Path to configuration file",
-    "  -i input_file      Path to the ICS file to use as input",
-    "  -o output_file     Path to the output file to be created (org file)",
+    "  -i input_file      Path or URL (http, https, webcal or webcals) of the ICS",
+    "                     file to use as input. Use - to read standard input.",
+    "                     Overrides SOURCES",
+    "  -o output_file     Path to the output file to be created (org file). Use -",
+    "                     to write to standard output",
     "  -p days            Number of days in the past to include events from. Default 7",
     "  --dump             Dump the current configuration and exit",
+    "  --force            Regenerate the org file even if no calendar data changed",
+    "  --dry-run          Report the events which would be added, removed,",
+    "                     rescheduled or modified, without writing the org file",
+    "  --report           Also report changed events when writing the org file",
+    "  --json             Write the change report as JSON",
     "",
     "By default, the script will look for a file called '.icsorgrc' in the",
     "user's home directory. This can be overridden with the -c switch",
@@ -48,6 +83,8 @@ function doHelp() {
     "",
     "  AUTHOR -   Your name. Used to identify you in meeting attendee lists",
     "  EMAIL  -   Your email address. Also used to identify you in attendee lists",
+    "  ALIASES -  Comma separated list of other names and email addresses which",
+    "             identify you in attendee lists",
     "  ICS_FILE - Path to ICS file to use for input. This can be overridden with the -i option",
     "  ORG_FILE - Path to the org file to write events to. It will override any existing.",
     "             It can be overridden with the -o option",
@@ -57,6 +94,98 @@ function doHelp() {
     "  FILETAGS - A value for #+FILETAGS header. No default",
     "  PAST -     Number of days in the past to include events from. Default 7",
     "  FUTURE -   Number of days into the future to include events from. Default 365",
+    "  TIMEZONE - IANA time zone name, e.g. Australia/Sydney, org timestamps are",
+    "             written in. Floating times are taken to be in this zone.",
+    "             Defaults to the system time zone",
+    "  CACHE_DIR - Directory used to cache calendars fetched from a URL. When set,",
+    "             unchanged calendars are not downloaded again and the org file",
+    "             is only regenerated when calendar data, settings or the",
+    "             day have changed",
+    "  HTTP_TIMEOUT - Seconds to wait for a calendar URL to respond. 0 for no",
+    "             limit. Default 30",
+    "  HTTP_MAX_REDIRECTS - Maximum number of redirects to follow. Default 5",
+    "  HTTP_RETRIES - Number of times to retry a URL after a network error,",
+    "             timeout or 5xx response. Default 2",
+    "  HTTP_RETRY_DELAY - Seconds to wait before the first retry. The wait is",
+    "             doubled for each further retry. Default 1",
+    "  OFFLINE_FALLBACK - When true, use the last successfully fetched calendar",
+    "             from CACHE_DIR if a URL cannot be fetched. A warning is printed",
+    "             and a #+STALE: header is added to the org file",
+    "  REPEATERS - When true, write a recurring event once with an org repeater",
+    "             (e.g. +1w) instead of once per occurrence. Rules org cannot",
+    "             represent, or in another time zone, are still expanded.",
+    "             Default false",
+    "  ATTENDEES - How to write event attendees. Either property (the default)",
+    "             for an :ATTENDEES: property, list for an org plain list or",
+    "             table for an org table, grouped into required, optional and",
+    "             resources",
+    "  MEETING_DETAILS - When true, write the dial-in phone number, meeting ID",
+    "             and passcode of video conferences as properties alongside",
+    "             :MEETING_URL:. Default false",
+    "  CATEGORY_TAGS - When true, add the CATEGORIES of each event as tags.",
+    "             Default true",
+    "  CLASS_TAGS - Comma separated VALUE=tag pairs mapping CLASS values to",
+    "             tags. Default PRIVATE=private,CONFIDENTIAL=confidential",
+    "  TRANSP_TAGS - Comma separated VALUE=tag pairs mapping TRANSP values to",
+    "             tags. Default TRANSPARENT=free",
+    "  SKIP_DECLINED - When true, leave out events you have declined.",
+    "             Default false",
+    "  CANCELLED - What to do with cancelled events and occurrences. Either",
+    "             show (the default) to write them as CANCELLED headlines or",
+    "             skip to leave them out",
+    "  ALARM_TIMESTAMPS - When true, also write an :ALARM: property with an",
+    "             inactive timestamp for reminders set for a fixed time.",
+    "             Default false",
+    "  LAYOUT -   How to arrange entries in the org file. Either flat (the",
+    "             default) for a list of top level headlines, datetree for",
+    "             year, month and day headings, week for year, ISO week and",
+    "             day headings or source for a heading per source. Grouped",
+    "             entries are sorted by date",
+    "  BACKUPS -  Number of timestamped backups of the previous ORG_FILE to",
+    "             keep, as ORG_FILE.yyyymmddThhmmss.bak. Default 0",
+    "  SNAPSHOT_FILE - Path to a file where the events of each run are saved.",
+    "             Change reports compare against it, instead of ORG_FILE",
+    "  MERGE -    When true, merge entries into the existing ORG_FILE instead",
+    "             of overwriting it. Entries are matched by :ID: and notes,",
+    "             tags, properties and child headlines you add are kept.",
+    "             Default false",
+    "  REMOVED -  What MERGE does with entries no longer in the calendar.",
+    "             Either delete (the default), mark to tag them removed or",
+    "             archive to move them to ORG_FILE_archive",
+    "  TEMPLATE_FILE - Path to a template file used to lay out the file header,",
+    "             events and to-dos in place of the built in layout",
+    "  PRIVACY -  Redact event details for an availability view. Either off",
+    "             (the default), private to redact events with a CLASS of",
+    "             PRIVATE or CONFIDENTIAL, or busy to redact all events.",
+    "             Redacted events have the summary 'Busy' and keep their times",
+    "  PRIVACY_KEEP - Comma separated fields kept in redacted events. Any of",
+    "             summary, description, location, attendees, organizer,",
+    "             categories, meeting and alarms. Ignored for PRIVATE and",
+    "             CONFIDENTIAL events, which are always fully redacted",
+    "  SOURCES -  Comma separated list of source names. Used instead of ICS_FILE",
+    "             to process several calendars in one run. Each source is",
+    "             configured with SOURCE_<NAME>_ prefixed settings -",
+    "",
+    "    SOURCE_<NAME>_ICS_FILE - Path or URL of the ICS file for this source",
+    "    SOURCE_<NAME>_TAGS     - Tags added to entries from this source",
+    "    SOURCE_<NAME>_CATEGORY - Value for the :CATEGORY: property of entries",
+    "    SOURCE_<NAME>_INCLUDE  - Only include events with a matching summary (regexp)",
+    "    SOURCE_<NAME>_EXCLUDE  - Exclude events with a matching summary (regexp)",
+    "    SOURCE_<NAME>_TYPE     - Either ics (the default), caldav for a CalDAV",
+    "                             calendar collection URL or mail for calendar",
+    "                             invitations in maildir folders, .eml or mbox",
+    "                             files. Separate several mail paths with ':'",
+    "    SOURCE_<NAME>_PRIVACY  - PRIVACY mode for this source",
+    "    SOURCE_<NAME>_USERNAME - Username for HTTP basic authentication",
+    "    SOURCE_<NAME>_PASSWORD - Password for HTTP basic authentication",
+    "    SOURCE_<NAME>_TOKEN    - Token for HTTP bearer authentication",
+    "    SOURCE_<NAME>_HEADERS  - Extra HTTP headers as 'Name: value' pairs separated by ';'",
+    "",
+    "  The ICS_TYPE, ICS_PRIVACY, ICS_USERNAME, ICS_PASSWORD, ICS_TOKEN and",
+    "  ICS_HEADERS settings do the same for ICS_FILE. Passwords, tokens and",
+    "  header values can be given as env:VARIABLE, file:/path/to/file or",
+    "  cmd:command to read the secret from an environment variable, a file or",
+    "  the output of a command",
     "",
     "  Homepage - https://github.com/theophilusx/icsorg",
   ];
@@ -73,8 +202,13 @@ function doHelp() {
 function dumpConfig(config) {
   let msg = [];
   console.log("Current Config");
+  config = redactConfig(config);
   for (let k in config) {
-    msg.push(`${k} = ${config[k]}`);
+    let v =
+      Array.isArray(config[k]) || config[k]?.constructor === Object
+        ? JSON.stringify(config[k])
+        : config[k];
+    msg.push(`${k} = ${v}`);
   }
   console.log(msg.join("\n"));
   process.exit(0);
@@ -90,15 +224,31 @@ function dumpConfig(config) {
  * @returns {Object} object containing common event properties
  */
 function commonEventProperties(e, author, email) {
+  const attendees = e.attendees.map((a) => {
+    const address = String(a.getFirstValue() || "");
+    return {
+      ...parseAttendee(a.jCal[1], author, email, address),
+      email: /^mailto:/i.test(address) ? address.substring(7) : "",
+    };
+  });
+  const me = attendees.find((a) => a.me && a.status);
   return {
-    attendees: e.attendees.map((a) => parseAttendee(a.jCal[1], author, email)),
-    description: e.description,
+    attendees,
+    myStatus: me ? me.status.toUpperCase() : "",
+    tags: me ? [makeStatusTag(me.status)] : [],
+    description:
+      e.description || getPropertyValue("x-alt-desc", e.component) || "",
     duration: e.duration,
     location: e.location,
     organizer: e.organizer,
     uid: e.uid,
     status: getPropertyValue("status", e.component),
     modified: getPropertyValue("last-modified", e.component),
+    alarms: parseAlarms(e.component),
+    meeting: parseMeeting(e.component),
+    categories: getCategories(e.component),
+    class: getPropertyValue("class", e.component),
+    transp: getPropertyValue("transp", e.component),
     summary: e.summary,
   };
 }
@@ -121,8 +271,15 @@ function mapEvents(events, author, email) {
   });
 
   let mappedEvents = events.map((e) => ({
-    endDate: e.endDate.toJSDate(),
-    startDate: e.startDate.toJSDate(),
+    endDate: icalTimeToDate(e.endDate),
+    startDate: icalTimeToDate(e.startDate),
+    allDay: e.startDate.isDate,
+    originalZone: getOriginalZone(e.startDate),
+    originalStart: e.startDate.toString(),
+    seriesId: e.isRecurrenceException() ? e.uid : "",
+    recurrenceId: e.isRecurrenceException()
+      ? icalTimeToDate(e.recurrenceId)
+      : null,
     ...commonEventProperties(e, author, email),
   }));
 
@@ -131,31 +288,277 @@ function mapEvents(events, author, email) {
 }
 
 /**
- * Generate an array of event objects from an array of occurrence components
+ * Generate an array of event objects from an array of occurrence components.
+ * Occurrences which have been overridden (RECURRENCE-ID) take their
+ * properties from the matching exception component rather than the
+ * series.
  *
  * @param {Array} occurrences - Array of occurrence components
+ * @param {Array} exceptions - Array of exception event components
  * @param {string} author - author name
  * @param {string} email - author's email address
  *
  * @returns {Array} array of event objects
  */
-function mapOccurrences(occurrences, author, email) {
+function mapOccurrences(occurrences, exceptions, author, email) {
   libDebug("mapOccurrences", "Called with parameters", {
     occurrenceCount: occurrences.length,
+    exceptionCount: exceptions.length,
     author,
     email,
   });
 
+  const instanceKey = (uid, recurrenceId) =>
+    `${uid} ${icalTimeToDate(recurrenceId).getTime()}`;
+  const overrides = new Map(
+    exceptions.map((x) => [instanceKey(x.uid, x.recurrenceId), x]),
+  );
+
   let mappedOccurrences = occurrences.map((o) => ({
-    startDate: o.startDate.toJSDate(),
-    endDate: o.endDate.toJSDate(),
-    ...commonEventProperties(o.item, author, email),
+    startDate: icalTimeToDate(o.startDate),
+    endDate: icalTimeToDate(o.endDate),
+    allDay: o.startDate.isDate,
+    originalZone: getOriginalZone(o.startDate),
+    originalStart: o.startDate.toString(),
+    seriesId: o.item.uid,
+    recurrenceId: icalTimeToDate(o.recurrenceId),
+    ...commonEventProperties(
+      overrides.get(instanceKey(o.item.uid, o.recurrenceId)) || o.item,
+      author,
+      email,
+    ),
   }));
 
   libDebug("mapOccurrences", `Mapped ${mappedOccurrences.length} occurrences`);
   return mappedOccurrences;
 }
 
+/**
+ * Generate an array of series event objects, one for each recurring event
+ * component. Each series has an org repeater and any exceptions to the
+ * series (RECURRENCE-ID overrides) as child entries.
+ *
+ * @param {Array} masters - Array of recurring event components which can
+ *                          be written with an org repeater
+ * @param {Array} exceptions - Array of event objects for the exceptions
+ * @param {string} author - author name
+ * @param {string} email - author's email address
+ *
+ * @returns {Array} array of event objects
+ */
+function mapSeries(masters, exceptions, author, email) {
+  libDebug("mapSeries", "Called with parameters", {
+    seriesCount: masters.length,
+    exceptionCount: exceptions.length,
+    author,
+    email,
+  });
+
+  let mappedSeries = mapEvents(masters, author, email).map((s, i) => ({
+    ...s,
+    repeater: makeRepeater(masters[i].component),
+    children: exceptions.filter((x) => x.uid === s.uid),
+  }));
+
+  libDebug("mapSeries", `Mapped ${mappedSeries.length} series`);
+  return mappedSeries;
+}
+
+/**
+ * Generate an array of to-do objects from an array of VTODO components.
+ * To-dos which were completed or cancelled before the start date are
+ * dropped.
+ *
+ * @param {Array} todos - Array of VTODO components
+ * @param {Date} startDate - start of the date range being exported
+ *
+ * @returns {Array} array of to-do objects
+ */
+function mapTodos(todos, startDate) {
+  libDebug("mapTodos", "Called with parameters", {
+    todoCount: todos.length,
+    startDate,
+  });
+
+  let mappedTodos = todos
+    .map((t) => mapTodo(t))
+    .filter(
+      (t) =>
+        !["COMPLETED", "CANCELLED"].includes(t.status) ||
+        (t.completed || t.modified || startDate) >= startDate,
+    );
+
+  libDebug("mapTodos", `Mapped ${mappedTodos.length} to-dos`);
+  return mappedTodos;
+}
+
+/**
+ * Add the tags for CATEGORIES, CLASS and TRANSP values to an array of
+ * event and to-do objects, including exceptions of a series
+ *
+ * @param {Array} events - array of event and to-do objects
+ * @param {Object} config - configuration settings
+ *
+ * @returns {Array} array of tagged event and to-do objects
+ */
+function addPropertyTags(events, config) {
+  return events.map((e) => ({
+    ...e,
+    tags: [...new Set([...(e.tags || []), ...makePropertyTags(e, config)])],
+    ...(e.children && { children: addPropertyTags(e.children, config) }),
+  }));
+}
+
+/**
+ * Remove events, and exceptions of a series, from an array of event
+ * objects. To-dos are never removed.
+ *
+ * @param {Array} events - array of event objects
+ * @param {Function} skip - returns true for events to remove
+ *
+ * @returns {Array} array of remaining event objects
+ */
+function skipEvents(events, skip) {
+  return events
+    .filter((e) => e.type === "todo" || !skip(e))
+    .map((e) =>
+      e.children ? { ...e, children: skipEvents(e.children, skip) } : e,
+    );
+}
+
+/**
+ * Expand and map the events for a single calendar source
+ *
+ * @param {Object} source - source object
+ * @param {string} data - the .ics data retrieved for this source
+ * @param {Object} config - configuration settings
+ *
+ * @returns {Array} array of event objects from this source
+ */
+function processSource(source, data, config) {
+  libDebug("processSource", "Parsing ICS data with expander", {
+    dataLength: data.length,
+    maxIterations: 1000,
+  });
+  const expander = new IcalExpander({ ics: data, maxIterations: 1000 });
+
+  libDebug("processSource", "Extracting events between dates", {
+    startDate: config.START_DATE.toISO(),
+    endDate: config.END_DATE.toISO(),
+  });
+  const events = expander.between(
+    config.START_DATE.toJSDate(),
+    config.END_DATE.toJSDate(),
+  );
+
+  libDebug("processSource", "Events extracted", {
+    eventCount: events.events.length,
+    occurrenceCount: events.occurrences.length,
+  });
+
+  const emails = [config.EMAIL, ...config.ALIASES].filter((e) => e);
+
+  // EXDATE properties can hold several dates, so check them all rather
+  // than relying on the expander
+  const exceptions = expander.events.filter((e) => e.isRecurrenceException());
+  const seriesMasters = new Map(
+    expander.events
+      .filter((e) => !e.isRecurrenceException())
+      .map((e) => [e.uid, e]),
+  );
+  const occurrences = events.occurrences.filter(
+    (o) =>
+      !isExcludedDate(
+        (seriesMasters.get(o.item.uid) || o.item).component,
+        o.recurrenceId,
+      ),
+  );
+
+  // With REPEATERS, recurring events whose rule org can represent are
+  // written once with a repeater instead of once per occurrence
+  let masters = [];
+  if (config.REPEATERS) {
+    masters = [...new Set(occurrences.map((o) => o.item))].filter(
+      (e) =>
+        !e.isRecurrenceException() &&
+        makeRepeater(
+          e.component,
+          exceptions.filter((x) => x.uid === e.uid).map((x) => x.component),
+        ),
+    );
+  }
+  const seriesUids = new Set(masters.map((e) => e.uid));
+  const isSeriesException = (e) =>
+    e.isRecurrenceException() && seriesUids.has(e.uid);
+
+  // Exceptions can be returned as events or as occurrences of the series
+  libDebug("processSource", "Mapping series", {
+    seriesCount: masters.length,
+  });
+  const mappedSeries = mapSeries(
+    masters,
+    [
+      ...mapEvents(
+        events.events.filter((e) => isSeriesException(e)),
+        config.AUTHOR,
+        emails,
+      ),
+      ...mapOccurrences(
+        occurrences.filter((o) => isSeriesException(o.item)),
+        exceptions,
+        config.AUTHOR,
+        emails,
+      ),
+    ],
+    config.AUTHOR,
+    emails,
+  );
+
+  libDebug("processSource", "Mapping events", {
+    author: config.AUTHOR,
+    email: emails,
+  });
+  const mappedEvents = mapEvents(
+    events.events.filter((e) => !isSeriesException(e)),
+    config.AUTHOR,
+    emails,
+  );
+
+  libDebug("processSource", "Mapping occurrences");
+  const mappedOccurrences = mapOccurrences(
+    occurrences.filter((o) => !seriesUids.has(o.item.uid)),
+    exceptions,
+    config.AUTHOR,
+    emails,
+  );
+
+  libDebug("processSource", "Mapping to-dos");
+  const mappedTodos = mapTodos(
+    expander.component.getAllSubcomponents("vtodo"),
+    config.START_DATE.toJSDate(),
+  );
+
+  let entries = [
+    ...mappedSeries,
+    ...mappedEvents,
+    ...mappedOccurrences,
+    ...mappedTodos,
+  ];
+  // Include and exclude patterns must see the real summaries, so the
+  // source is applied before entries are redacted
+  entries = applySource(entries, source);
+  entries = applyPrivacy(entries, source.privacy, config.PRIVACY_KEEP);
+  entries = addPropertyTags(entries, config);
+  if (config.CANCELLED === "skip") {
+    entries = skipEvents(entries, (e) => e.status === "CANCELLED");
+  }
+  if (config.SKIP_DECLINED) {
+    entries = skipEvents(entries, (e) => e.myStatus === "DECLINED");
+  }
+
+  return entries;
+}
+
 /**
  * @async
  *
@@ -175,62 +578,124 @@ async function main() {
     libDebug("main", "Starting main workflow");
 
     const config = parseConfig(argv, RC);
+    const dryRun = argv["dry-run"];
     validateConfig(config);
+    setTimezone(config.TIMEZONE);
 
     if (argv.dump) {
       dumpConfig(config);
     }
 
-    libDebug("main", "Fetching ICS data", { source: config.ICS_FILE });
-    let data = await getIcsData(config.ICS_FILE);
-
-    libDebug("main", "Parsing ICS data with expander", {
-      dataLength: data.length,
-      maxIterations: 1000,
-    });
-    const expander = new IcalExpander({ ics: data, maxIterations: 1000 });
-
-    libDebug("main", "Extracting events between dates", {
-      startDate: config.START_DATE.toISO(),
-      endDate: config.END_DATE.toISO(),
-    });
-    const events = expander.between(
-      config.START_DATE.toJSDate(),
-      config.END_DATE.toJSDate(),
-    );
-
-    libDebug("main", "Events extracted", {
-      eventCount: events.events.length,
-      occurrenceCount: events.occurrences.length,
-    });
+    const templates = config.TEMPLATE_FILE
+      ? await loadTemplates(config.TEMPLATE_FILE)
+      : {};
 
-    libDebug("main", "Mapping events", {
-      author: config.AUTHOR,
-      email: config.EMAIL,
-    });
-    const mappedEvents = mapEvents(events.events, config.AUTHOR, config.EMAIL);
+    let fetched = [];
+    for (const source of config.SOURCES) {
+      libDebug("main", "Fetching ICS data", {
+        source: source.name,
+        icsFile: redactUrl(source.icsFile),
+      });
+      const result = await getIcsData(source.icsFile, {
+        cacheDir: config.CACHE_DIR,
+        fallback: config.OFFLINE_FALLBACK,
+        headers: await buildRequestHeaders(source),
+        type: source.type,
+        timeout: config.HTTP_TIMEOUT * 1000,
+        maxRedirects: config.HTTP_MAX_REDIRECTS,
+        retries: config.HTTP_RETRIES,
+        retryDelay: config.HTTP_RETRY_DELAY * 1000,
+        start: config.START_DATE.toJSDate(),
+        end: config.END_DATE.toJSDate(),
+      });
+      if (result.stale) {
+        console.error(
+          `Warning: unable to fetch source '${source.name}' (${result.error}). Using data last refreshed ${result.refreshed}`,
+        );
+      }
+      fetched.push({ source, ...result });
+    }
 
-    libDebug("main", "Mapping occurrences");
-    const mappedOccurrences = mapOccurrences(
-      events.occurrences,
-      config.AUTHOR,
-      config.EMAIL,
-    );
+    // Settings, templates and the date window also decide the output
+    const key = outputKey(config, templates);
+    if (
+      !argv.force &&
+      !dryRun &&
+      fetched.every((f) => !f.changed) &&
+      existsSync(config.ORG_FILE) &&
+      (await readOutputKey(config)) === key
+    ) {
+      libDebug("main", "No source data or settings changed since last run");
+      console.log(`No calendar changes, ${config.ORG_FILE} not regenerated`);
+      return;
+    }
 
-    let allEvents = [...mappedEvents, ...mappedOccurrences];
+    let allEvents = [];
+    for (const f of fetched) {
+      allEvents.push(...processSource(f.source, f.data, config));
+    }
     libDebug("main", "Total events to write", {
       totalEvents: allEvents.length,
-      mappedEvents: mappedEvents.length,
-      mappedOccurrences: mappedOccurrences.length,
+      sourceCount: config.SOURCES.length,
     });
 
+    const stale = fetched
+      .filter((f) => f.stale)
+      .map((f) => ({ name: f.source.name, refreshed: f.refreshed }));
+
+    const snapshot = snapshotEvents(allEvents);
+    if (dryRun || argv.report) {
+      const previous = await loadSnapshot(config);
+      const report = diffEvents(previous.records, snapshot, {
+        start: config.START_DATE.toJSDate(),
+        end: previous.end,
+      });
+      const text = argv.json
+        ? JSON.stringify(report, null, 2)
+        : formatReport(report);
+      // Keep the report out of an org file written to standard output
+      if (config.ORG_FILE === "-" && !dryRun) {
+        console.error(text);
+      } else {
+        console.log(text);
+      }
+      // The cache is not committed either, or the next run would find no
+      // changes and not regenerate the org file
+      if (dryRun) {
+        libDebug("main", "Dry run, org file and cache not written");
+        return;
+      }
+    }
+
     libDebug("main", "Creating org file", { outputFile: config.ORG_FILE });
-    await createOrgFile(config, allEvents);
+    const written = await createOrgFile(config, allEvents, stale, templates);
+
+    if (config.SNAPSHOT_FILE) {
+      await saveSnapshot(
+        config.SNAPSHOT_FILE,
+        snapshot,
+        config.END_DATE.toJSDate(),
+      );
+    }
+
+    // Only now is it safe to record what this run fetched
+    for (const f of fetched) {
+      await commitCache(f);
+    }
+    if (config.ORG_FILE !== "-") {
+      await writeOutputKey(config, key);
+    }
 
     libDebug("main", "Workflow completed successfully");
-    console.log(
-      `Generated new org file in ${config.ORG_FILE} with ${allEvents.length} entries`,
-    );
+    if (!written) {
+      console.log(`No changes to ${config.ORG_FILE}, file not modified`);
+    } else if (config.ORG_FILE !== "-") {
+      console.log(
+        config.MERGE
+          ? `Merged ${allEvents.length} entries into ${config.ORG_FILE}`
+          : `Generated new org file in ${config.ORG_FILE} with ${allEvents.length} entries`,
+      );
+    }
   } catch (err) {
     libDebug("main", "Error occurred in main workflow", { error: err.message });
     throw new Error(`main: ${err.message}`);
@@ -3,10 +3,138 @@
  */
 
 import fetch from "node-fetch";
-import { createWriteStream } from "fs";
-import { readFile } from "fs/promises";
-import { Readable } from "stream";
-import { DateTime } from "luxon";
+import {
+  readFile,
+  writeFile,
+  appendFile,
+  copyFile,
+  rename,
+  realpath,
+  rm,
+  mkdir,
+  readdir,
+  stat,
+} from "fs/promises";
+import { createHash } from "crypto";
+import { exec } from "child_process";
+import { promisify, inspect } from "util";
+import { Buffer } from "buffer";
+import { URL } from "url";
+import {
+  join,
+  delimiter,
+  dirname,
+  basename,
+  resolve as resolvePath,
+} from "path";
+import { DateTime, IANAZone } from "luxon";
+import ICAL from "ical.js";
+
+const execAsync = promisify(exec);
+
+// Supported values for a source TYPE setting
+const SOURCE_TYPES = ["ics", "caldav", "mail"];
+
+// Supported values for the CANCELLED setting
+const CANCELLED_MODES = ["show", "skip"];
+
+// Hosts of video conference services used to find meeting join links
+const MEETING_HOSTS = [
+  /(^|\.)zoom\.us$/,
+  /^meet\.google\.com$/,
+  /^teams\.microsoft\.com$/,
+  /^teams\.live\.com$/,
+  /(^|\.)webex\.com$/,
+  /(^|\.)whereby\.com$/,
+  /^meet\.jit\.si$/,
+  /^(meet|global)\.goto\.com$/,
+  /(^|\.)gotomeeting\.com$/,
+  /^chime\.aws$/,
+];
+
+// Supported values for the ATTENDEES setting
+const ATTENDEE_FORMATS = ["property", "list", "table"];
+
+// HTML elements handled by htmlToOrg. Descriptions are only treated as
+// HTML when they contain one of these, as plain text invitations often
+// hold addresses like "Jane <jane@example.com>"
+const HTML_TAGS = new Set(
+  (
+    "html head body title meta style script p div span br hr a b i u s em " +
+    "strong small big sub sup font center code tt pre blockquote ul ol li " +
+    "dl dt dd table thead tbody tfoot tr td th caption col colgroup img " +
+    "h1 h2 h3 h4 h5 h6"
+  ).split(" "),
+);
+
+// An HTML tag whose attributes, if any, all have values. Used to decide
+// if a description is HTML, so that text such as "a<b or c>d" is not.
+const HTML_TAG =
+  /<(\/?)([a-z][a-z0-9]*)((?:\s+[a-z][\w:-]*\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))*)\s*\/?>/
+    .source;
+
+// Supported values for the PRIVACY setting
+const PRIVACY_MODES = ["off", "private", "busy"];
+
+// Event fields which can be kept in redacted entries with PRIVACY_KEEP
+const PRIVACY_FIELDS = [
+  "summary",
+  "description",
+  "location",
+  "attendees",
+  "organizer",
+  "categories",
+  "meeting",
+  "alarms",
+];
+
+// CLASS values which always cause an entry to be fully redacted
+const PRIVATE_CLASSES = ["PRIVATE", "CONFIDENTIAL"];
+
+// Supported values for the LAYOUT setting
+const LAYOUTS = ["flat", "datetree", "week", "source"];
+
+// Supported values for the REMOVED setting
+const REMOVED_MODES = ["delete", "mark", "archive"];
+
+// Tag added to entries removed upstream with REMOVED set to 'mark'
+const REMOVED_TAG = "removed";
+
+// Properties written by icsorg, which are replaced when merging
+const MANAGED_PROPERTIES = [
+  "ICAL_EVENT",
+  "ICAL_TODO",
+  "ICAL_TAGS",
+  "ID",
+  "SERIES_ID",
+  "RECURRENCE_ID",
+  "SOURCE",
+  "CATEGORY",
+  "ORGANIZER",
+  "STATUS",
+  "MY_STATUS",
+  "LAST_MODIFIED",
+  "LOCATION",
+  "MEETING_URL",
+  "MEETING_PHONE",
+  "MEETING_ID",
+  "MEETING_PASSCODE",
+  "ORIGINAL_TZ",
+  "ORIGINAL_TIME",
+  "DURATION",
+  "APPT_WARNTIME",
+  "ALARM",
+  "ATTENDEES",
+  "PERCENT_COMPLETE",
+  "COMPLETED",
+];
+
+// Names of the sections which can be given in a template file
+const TEMPLATE_SECTIONS = ["header", "event", "todo"];
+
+// ID, recurrence ID, start and generated flag of org headline nodes,
+// see entryInfo
+const entryInfoCache = new WeakMap();
 
 // Debug state - set from index.js
 let debugEnabled = false;
@@ -20,6 +148,18 @@ export function setDebugMode(enabled) {
   debugEnabled = enabled;
 }
 
+// Output time zone - set from index.js
+let outputZone = "system";
+
+/**
+ * Set the time zone org timestamps are written in
+ *
+ * @param {string} zone - IANA time zone name
+ */
+export function setTimezone(zone) {
+  outputZone = zone || "system";
+}
+
 /**
  * Output debug message if debug mode is enabled
  *
@@ -28,10 +168,13 @@ export function setDebugMode(enabled) {
  * @param {*} data - Optional data to output
  */
 export function debug(functionName, message, data) {
+  // Written to stderr so debug output never mixes with org output on stdout
   if (debugEnabled) {
-    console.log(`[DEBUG] ${functionName}: ${message}`);
+    console.error(`[DEBUG] ${functionName}: ${message}`);
     if (data != null) {
-      console.dir(data, { depth: null, colors: true });
+      console.error(
+        inspect(data, { depth: null, colors: process.stderr.isTTY === true }),
+      );
     }
   }
 }
@@ -45,7 +188,10 @@ export function debug(functionName, message, data) {
  * @returns {Object} Configuration object with all settings
  */
 export function parseConfig(argv, rcFile) {
-  debug("parseConfig", "Called with arguments", { argv, rcFile });
+  debug("parseConfig", "Called with arguments", {
+    argv: { ...argv, i: redactUrl(argv.i) },
+    rcFile,
+  });
 
   const config = {
     RC_FILE: rcFile,
@@ -54,14 +200,50 @@ export function parseConfig(argv, rcFile) {
     TITLE: process.env.TITLE || "Calendar",
     AUTHOR: argv.a || process.env.AUTHOR || "",
     EMAIL: argv.e || process.env.EMAIL || "",
+    ALIASES: (process.env.ALIASES || "")
+      .split(",")
+      .map((a) => a.trim())
+      .filter((a) => a.length),
     CATEGORY: process.env.CATEGORY || "",
     STARTUP: process.env.STARTUP || "",
     FILETAGS: process.env.FILETAGS || "",
+    CACHE_DIR: process.env.CACHE_DIR || "",
+    OFFLINE_FALLBACK: parseBoolean(process.env.OFFLINE_FALLBACK),
+    REPEATERS: parseBoolean(process.env.REPEATERS),
+    CANCELLED: (process.env.CANCELLED || "show").toLowerCase(),
+    ALARM_TIMESTAMPS: parseBoolean(process.env.ALARM_TIMESTAMPS),
+    SKIP_DECLINED: parseBoolean(process.env.SKIP_DECLINED),
+    ATTENDEES: (process.env.ATTENDEES || "property").toLowerCase(),
+    MEETING_DETAILS: parseBoolean(process.env.MEETING_DETAILS),
+    CATEGORY_TAGS:
+      process.env.CATEGORY_TAGS === undefined
+        ? true
+        : parseBoolean(process.env.CATEGORY_TAGS),
+    CLASS_TAGS: parseTagMap(
+      process.env.CLASS_TAGS ?? "PRIVATE=private,CONFIDENTIAL=confidential",
+    ),
+    TRANSP_TAGS: parseTagMap(process.env.TRANSP_TAGS ?? "TRANSPARENT=free"),
+    TEMPLATE_FILE: process.env.TEMPLATE_FILE || "",
+    LAYOUT: (process.env.LAYOUT || "flat").toLowerCase(),
+    MERGE: parseBoolean(process.env.MERGE),
+    SNAPSHOT_FILE: process.env.SNAPSHOT_FILE || "",
+    REMOVED: (process.env.REMOVED || "delete").toLowerCase(),
+    PRIVACY: (process.env.PRIVACY || "off").toLowerCase(),
+    PRIVACY_KEEP: (process.env.PRIVACY_KEEP || "")
+      .split(",")
+      .map((f) => f.trim().toLowerCase())
+      .filter((f) => f.length),
+    HTTP_TIMEOUT: 30,
+    HTTP_MAX_REDIRECTS: 5,
+    HTTP_RETRIES: 2,
+    HTTP_RETRY_DELAY: 1,
+    BACKUPS: 0,
+    TIMEZONE: process.env.TIMEZONE || DateTime.local().zoneName,
     PAST: 7,
     FUTURE: 365,
   };
 
-  debug("parseConfig", "Initial config created", config);
+  debug("parseConfig", "Initial config created", redactConfig(config));
 
   // Parse PAST days
   if (argv.p !== undefined) {
@@ -81,19 +263,309 @@ export function parseConfig(argv, rcFile) {
     debug("parseConfig", `FUTURE set from environment: ${config.FUTURE}`);
   }
 
+  // Parse HTTP settings
+  ["HTTP_TIMEOUT", "HTTP_RETRY_DELAY"].forEach((k) => {
+    if (process.env[k] !== undefined) {
+      config[k] = parseFloat(process.env[k]);
+      debug("parseConfig", `${k} set from environment: ${config[k]}`);
+    }
+  });
+  ["HTTP_MAX_REDIRECTS", "HTTP_RETRIES", "BACKUPS"].forEach((k) => {
+    if (process.env[k] !== undefined) {
+      config[k] = parseInt(process.env[k]);
+      debug("parseConfig", `${k} set from environment: ${config[k]}`);
+    }
+  });
+
   // Calculate date ranges
-  config.START_DATE = DateTime.now().minus({ days: config.PAST });
-  config.END_DATE = DateTime.now().plus({ days: config.FUTURE });
+  const now = DateTime.now().setZone(config.TIMEZONE);
+  config.START_DATE = now.minus({ days: config.PAST });
+  config.END_DATE = now.plus({ days: config.FUTURE });
 
   debug("parseConfig", "Date ranges calculated", {
     START_DATE: config.START_DATE.toISO(),
     END_DATE: config.END_DATE.toISO(),
   });
 
-  debug("parseConfig", "Returning final config", config);
+  // A -i argument always means a single source, even if SOURCES is set
+  config.SOURCES = parseSources(
+    argv.i ? undefined : process.env.SOURCES,
+    config,
+  );
+  debug("parseConfig", `Configured ${config.SOURCES.length} source(s)`);
+
+  debug("parseConfig", "Returning final config", redactConfig(config));
   return config;
 }
 
+/**
+ * Interpret a configuration setting as a boolean flag. The values 'true',
+ * 'yes', 'on' and '1' (in any case) are treated as true.
+ *
+ * @param {string} value - setting value
+ *
+ * @returns {boolean} true if the setting is enabled
+ */
+export function parseBoolean(value) {
+  return ["true", "yes", "on", "1"].includes(
+    String(value).trim().toLowerCase(),
+  );
+}
+
+/**
+ * Split a tag list setting into an array of tag names. Tags can be
+ * separated by colons, commas or whitespace e.g. "work:meeting" or
+ * "work, meeting"
+ *
+ * @param {string} value - tag list setting
+ *
+ * @returns {Array} array of tag names
+ */
+export function splitTags(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(/[\s,:]+/).filter((t) => t.length);
+}
+
+/**
+ * Parse a tag mapping setting into an object. The setting is a comma
+ * separated list of VALUE=tag pairs e.g. "PRIVATE=private,PUBLIC=public".
+ * Values are upper cased. Entries without a tag are ignored.
+ *
+ * @param {string} value - tag mapping setting
+ *
+ * @returns {Object} object mapping property values to tag names
+ */
+export function parseTagMap(value) {
+  const map = {};
+  (value || "").split(",").forEach((entry) => {
+    const [key, tag] = entry.split("=").map((v) => (v || "").trim());
+    if (key && tag) {
+      map[key.toUpperCase()] = tag;
+    }
+  });
+  return map;
+}
+
+/**
+ * Generate the environment variable prefix used for settings of a named
+ * source e.g. 'on-call' becomes 'SOURCE_ON_CALL_'
+ *
+ * @param {string} name - source name
+ *
+ * @returns {string} environment variable prefix
+ */
+function sourcePrefix(name) {
+  return `SOURCE_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+}
+
+/**
+ * Read the authentication settings for a source. Values are kept as
+ * given and may be secret references which are only resolved when the
+ * source is fetched. See resolveSecret.
+ *
+ * @param {string} prefix - environment variable prefix for the source
+ *
+ * @returns {Object} object with username, password, token and headers
+ */
+function sourceAuth(prefix) {
+  return {
+    username: process.env[`${prefix}USERNAME`] || "",
+    password: process.env[`${prefix}PASSWORD`] || "",
+    token: process.env[`${prefix}TOKEN`] || "",
+    headers: process.env[`${prefix}HEADERS`] || "",
+  };
+}
+
+/**
+ * Build the list of calendar sources to process. When names is not set,
+ * a single source called 'default' is created from ICS_FILE. Otherwise,
+ * names is a comma separated list of source names and the settings for
+ * each source are read from SOURCE_<NAME>_* environment variables.
+ *
+ * @param {string} names - comma separated list of source names
+ * @param {Object} config - configuration object
+ *
+ * @returns {Array} array of source objects
+ */
+export function parseSources(names, config) {
+  debug("parseSources", "Called with names", { names });
+
+  if (!names) {
+    if (!config.ICS_FILE) {
+      return [];
+    }
+    return [
+      {
+        name: "default",
+        icsFile: config.ICS_FILE,
+        tags: [],
+        category: "",
+        include: "",
+        exclude: "",
+        type: (process.env.ICS_TYPE || "ics").toLowerCase(),
+        privacy: (
+          process.env.ICS_PRIVACY ||
+          config.PRIVACY ||
+          "off"
+        ).toLowerCase(),
+        ...sourceAuth("ICS_"),
+      },
+    ];
+  }
+
+  return names
+    .split(",")
+    .map((n) => n.trim())
+    .filter((n) => n.length)
+    .map((name) => {
+      const prefix = sourcePrefix(name);
+      return {
+        name,
+        icsFile: process.env[`${prefix}ICS_FILE`],
+        tags: splitTags(process.env[`${prefix}TAGS`]),
+        category: process.env[`${prefix}CATEGORY`] || "",
+        include: process.env[`${prefix}INCLUDE`] || "",
+        exclude: process.env[`${prefix}EXCLUDE`] || "",
+        type: (process.env[`${prefix}TYPE`] || "ics").toLowerCase(),
+        privacy: (
+          process.env[`${prefix}PRIVACY`] ||
+          config.PRIVACY ||
+          "off"
+        ).toLowerCase(),
+        ...sourceAuth(prefix),
+      };
+    });
+}
+
+/**
+ * Redact a URL so it can be displayed without leaking credentials or
+ * private tokens. Only the scheme and host are kept. Values which are
+ * not URLs, such as local file paths, are returned unchanged.
+ *
+ * @param {string} value - URL or file path
+ *
+ * @returns {string} redacted URL or the original value
+ */
+export function redactUrl(value) {
+  if (!value || !/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return value;
+  }
+  try {
+    const url = new URL(value);
+    return `${url.protocol}//${url.host}/<redacted>`;
+  } catch {
+    return "<redacted>";
+  }
+}
+
+/**
+ * Generate a copy of the configuration object which is safe to display.
+ * Source URLs are redacted and credential settings are masked.
+ *
+ * @param {Object} config - configuration object
+ *
+ * @returns {Object} redacted copy of the configuration
+ */
+export function redactConfig(config) {
+  const mask = (v) => (v ? "<redacted>" : v);
+  const redacted = { ...config, ICS_FILE: redactUrl(config.ICS_FILE) };
+  if (config.SOURCES) {
+    redacted.SOURCES = config.SOURCES.map((s) => ({
+      ...s,
+      icsFile: redactUrl(s.icsFile),
+      password: mask(s.password),
+      token: mask(s.token),
+      headers: mask(s.headers),
+    }));
+  }
+  return redacted;
+}
+
+/**
+ * @async
+ *
+ * Resolve a secret setting. A value starting with 'env:' is read from the
+ * named environment variable, 'file:' is read from the named file and
+ * 'cmd:' is the output of running the given shell command e.g.
+ * 'cmd:pass show calendar/work'. Leading and trailing whitespace is
+ * removed. Any other value is returned as is.
+ *
+ * @param {string} value - secret setting
+ *
+ * @returns {Promise<string>} the secret value
+ */
+export async function resolveSecret(value) {
+  if (!value) {
+    return value;
+  }
+  if (value.startsWith("env:")) {
+    const name = value.substring(4);
+    if (process.env[name] === undefined) {
+      throw new Error(`resolveSecret: environment variable ${name} not set`);
+    }
+    return process.env[name].trim();
+  }
+  if (value.startsWith("file:")) {
+    try {
+      return (await readFile(value.substring(5), "utf-8")).trim();
+    } catch (err) {
+      throw new Error(`resolveSecret: ${err.message}`);
+    }
+  }
+  if (value.startsWith("cmd:")) {
+    try {
+      const { stdout } = await execAsync(value.substring(4));
+      return stdout.trim();
+    } catch (err) {
+      throw new Error(`resolveSecret: command failed: ${err.message}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * @async
+ *
+ * Build the HTTP request headers needed to fetch a source. A username
+ * adds a basic Authorization header, a token adds a bearer Authorization
+ * header and the headers setting adds extra headers. The headers setting
+ * is a list of 'Name: value' pairs separated by ';'. Passwords, tokens and
+ * header values are resolved with resolveSecret.
+ *
+ * @param {Object} source - source object
+ *
+ * @returns {Promise<Object>} object of header names and values
+ */
+export async function buildRequestHeaders(source) {
+  debug("buildRequestHeaders", "Called for source", { source: source.name });
+
+  const headers = {};
+  if (source.username) {
+    const password = (await resolveSecret(source.password)) || "";
+    const creds = Buffer.from(`${source.username}:${password}`).toString(
+      "base64",
+    );
+    headers.Authorization = `Basic ${creds}`;
+  } else if (source.token) {
+    headers.Authorization = `Bearer ${await resolveSecret(source.token)}`;
+  }
+  for (const h of (source.headers || "").split(";")) {
+    const idx = h.indexOf(":");
+    if (idx > 0) {
+      headers[h.substring(0, idx).trim()] = await resolveSecret(
+        h.substring(idx + 1).trim(),
+      );
+    }
+  }
+
+  debug("buildRequestHeaders", "Built headers", {
+    names: Object.keys(headers),
+  });
+  return headers;
+}
+
 /**
  * Validate required configuration parameters
  *
@@ -102,17 +574,156 @@ export function parseConfig(argv, rcFile) {
  * @throws {Error} if required parameters are missing
  */
 export function validateConfig(config) {
-  debug("validateConfig", "Called with config", config);
+  debug("validateConfig", "Called with config", redactConfig(config));
 
   const errors = [];
 
-  if (!config.ICS_FILE) {
+  if (!config.ICS_FILE && !(config.SOURCES && config.SOURCES.length)) {
     errors.push(
       "Missing required ICS_FILE parameter. Specify with -i option or ICS_FILE environment variable.",
     );
     debug("validateConfig", "Validation error: Missing ICS_FILE");
   }
 
+  [
+    "HTTP_TIMEOUT",
+    "HTTP_MAX_REDIRECTS",
+    "HTTP_RETRIES",
+    "HTTP_RETRY_DELAY",
+    "BACKUPS",
+  ]
+    .filter((k) => k in config)
+    .forEach((k) => {
+      if (isNaN(config[k]) || config[k] < 0) {
+        errors.push(
+          `Invalid ${k} value: ${config[k]}. Must be a positive number.`,
+        );
+        debug("validateConfig", `Validation error: Invalid ${k} value`);
+      }
+    });
+
+  if ("TIMEZONE" in config && !IANAZone.isValidZone(config.TIMEZONE)) {
+    errors.push(
+      `Invalid TIMEZONE value: ${config.TIMEZONE}. Must be an IANA time zone name such as Australia/Sydney.`,
+    );
+    debug("validateConfig", "Validation error: Invalid TIMEZONE value");
+  }
+
+  if ("CANCELLED" in config && !CANCELLED_MODES.includes(config.CANCELLED)) {
+    errors.push(
+      `Invalid CANCELLED value: ${config.CANCELLED}. Must be one of ${CANCELLED_MODES.join(", ")}.`,
+    );
+    debug("validateConfig", "Validation error: Invalid CANCELLED value");
+  }
+
+  if ("ATTENDEES" in config && !ATTENDEE_FORMATS.includes(config.ATTENDEES)) {
+    errors.push(
+      `Invalid ATTENDEES value: ${config.ATTENDEES}. Must be one of ${ATTENDEE_FORMATS.join(", ")}.`,
+    );
+    debug("validateConfig", "Validation error: Invalid ATTENDEES value");
+  }
+
+  if ("LAYOUT" in config && !LAYOUTS.includes(config.LAYOUT)) {
+    errors.push(
+      `Invalid LAYOUT value: ${config.LAYOUT}. Must be one of ${LAYOUTS.join(", ")}.`,
+    );
+    debug("validateConfig", "Validation error: Invalid LAYOUT value");
+  }
+
+  if ("REMOVED" in config && !REMOVED_MODES.includes(config.REMOVED)) {
+    errors.push(
+      `Invalid REMOVED value: ${config.REMOVED}. Must be one of ${REMOVED_MODES.join(", ")}.`,
+    );
+    debug("validateConfig", "Validation error: Invalid REMOVED value");
+  }
+
+  if (config.MERGE && config.ORG_FILE === "-") {
+    errors.push("MERGE cannot be used when writing to standard output.");
+    debug("validateConfig", "Validation error: MERGE with ORG_FILE of -");
+  }
+
+  if ("PRIVACY" in config && !PRIVACY_MODES.includes(config.PRIVACY)) {
+    errors.push(
+      `Invalid PRIVACY value: ${config.PRIVACY}. Must be one of ${PRIVACY_MODES.join(", ")}.`,
+    );
+    debug("validateConfig", "Validation error: Invalid PRIVACY value");
+  }
+
+  (config.PRIVACY_KEEP || [])
+    .filter((f) => !PRIVACY_FIELDS.includes(f))
+    .forEach((f) => {
+      errors.push(
+        `Invalid PRIVACY_KEEP field: ${f}. Must be one of ${PRIVACY_FIELDS.join(", ")}.`,
+      );
+      debug("validateConfig", `Validation error: Invalid PRIVACY_KEEP ${f}`);
+    });
+
+  if (config.OFFLINE_FALLBACK && !config.CACHE_DIR) {
+    errors.push(
+      "OFFLINE_FALLBACK requires CACHE_DIR to be set so fetched calendars can be kept.",
+    );
+    debug(
+      "validateConfig",
+      "Validation error: OFFLINE_FALLBACK without CACHE_DIR",
+    );
+  }
+
+  (config.SOURCES || []).forEach((source) => {
+    const prefix = sourcePrefix(source.name);
+    if (!source.icsFile) {
+      errors.push(
+        `Missing ICS_FILE for source '${source.name}'. Specify with ${prefix}ICS_FILE environment variable.`,
+      );
+      debug(
+        "validateConfig",
+        `Validation error: Missing ICS_FILE for source ${source.name}`,
+      );
+    }
+    if (!SOURCE_TYPES.includes(source.type)) {
+      errors.push(
+        `Invalid ${prefix}TYPE value: ${source.type}. Must be one of ${SOURCE_TYPES.join(", ")}.`,
+      );
+      debug(
+        "validateConfig",
+        `Validation error: Invalid type for source ${source.name}`,
+      );
+    } else if (
+      source.type === "caldav" &&
+      source.icsFile &&
+      !isUrl(source.icsFile)
+    ) {
+      errors.push(
+        `Invalid ${prefix}ICS_FILE value for caldav source '${source.name}'. Must be a URL.`,
+      );
+      debug(
+        "validateConfig",
+        `Validation error: caldav source ${source.name} is not a URL`,
+      );
+    }
+    if (source.privacy && !PRIVACY_MODES.includes(source.privacy)) {
+      errors.push(
+        `Invalid ${prefix}PRIVACY value: ${source.privacy}. Must be one of ${PRIVACY_MODES.join(", ")}.`,
+      );
+      debug(
+        "validateConfig",
+        `Validation error: Invalid privacy for source ${source.name}`,
+      );
+    }
+    ["include", "exclude"].forEach((k) => {
+      try {
+        new RegExp(source[k]);
+      } catch (err) {
+        errors.push(
+          `Invalid ${prefix}${k.toUpperCase()} value: ${err.message}`,
+        );
+        debug(
+          "validateConfig",
+          `Validation error: Invalid ${k} filter for source ${source.name}`,
+        );
+      }
+    });
+  });
+
   if (!config.ORG_FILE) {
     errors.push(
       "Missing required ORG_FILE parameter. Specify with -o option or ORG_FILE environment variable.",
@@ -156,25 +767,135 @@ export function validateConfig(config) {
 }
 
 /**
- * Parse an attendee array to generate an attendee object
+ * Parse an attendee array to generate an attendee object. The attendee
+ * is 'me' when its CN or mailto address matches the author or one of
+ * the email addresses. Addresses are matched case insensitively.
  *
  * @param {Object} data - Object of data about an attendee
  * @param {string} author - Author's name - used to identify 'me' attendee
- * @param {string} email - Email address - used to identify 'me' attendee
+ * @param {string|Array} email - Email address, or an array of addresses
+ *                               and aliases - used to identify 'me' attendee
+ * @param {string} address - the attendee value, usually a mailto: URI
  *
  * @returns {Object} with properties for category, role, status, cn, guests and me
  */
-export function parseAttendee(data, author, email) {
+export function parseAttendee(data, author, email, address = "") {
+  const ids = [].concat(email || []).map((id) => id.toLowerCase());
+  const addr = address.replace(/^mailto:/i, "").toLowerCase();
+  const cn = (data.cn || "").toLowerCase();
   return {
-    category: data.category,
+    category: data.cutype || data.category,
     role: data.role,
     status: data.partstat,
     cn: data.cn,
     guests: data["x-num-guests"],
-    me: data.cn === author || data.cn === email ? true : false,
+    me:
+      (author && data.cn === author) ||
+      (cn.length > 0 && ids.includes(cn)) ||
+      (addr.length > 0 && ids.includes(addr))
+        ? true
+        : false,
   };
 }
 
+/**
+ * Make an org tag for an attendee participation status,
+ * e.g. NEEDS-ACTION becomes needs_action
+ *
+ * @param {string} status - PARTSTAT value
+ *
+ * @returns {string} org tag
+ */
+export function makeStatusTag(status) {
+  return makeTag(status.toLowerCase());
+}
+
+/**
+ * Make a valid org tag from a value. Org tags can only contain letters,
+ * numbers and the _, @, # and % characters, so other characters are
+ * replaced with an underscore.
+ *
+ * @param {string} value - value to make a tag from, e.g. a CATEGORIES value
+ *
+ * @returns {string} org tag. Empty if the value has no usable characters
+ */
+export function makeTag(value) {
+  return String(value)
+    .trim()
+    .replace(/[^\p{L}\p{N}_@#%]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Generate the org tags for an event from its CATEGORIES, CLASS and
+ * TRANSP values. CATEGORIES values are used when CATEGORY_TAGS is set.
+ * CLASS and TRANSP values are mapped to tags with the CLASS_TAGS and
+ * TRANSP_TAGS settings.
+ *
+ * @param {Object} e - event or to-do object
+ * @param {Object} config - configuration settings
+ *
+ * @returns {Array} array of tag names
+ */
+export function makePropertyTags(e, config) {
+  const tags = [];
+  if (config.CATEGORY_TAGS) {
+    tags.push(...(e.categories || []));
+  }
+  const cls = (config.CLASS_TAGS || {})[(e.class || "").toUpperCase()];
+  const transp = (config.TRANSP_TAGS || {})[(e.transp || "").toUpperCase()];
+  if (cls) tags.push(cls);
+  if (transp) tags.push(transp);
+  return tags.map((t) => makeTag(t)).filter((t) => t.length);
+}
+
+/**
+ * Redact the details of events and to-dos so a calendar can be shared as
+ * an availability view. Redacted entries have the summary "Busy" and lose
+ * their description, location, attendees, organizer, categories, meeting
+ * details and alarms, except for fields named in keep. Times, status and
+ * identifiers are left alone. With mode 'private', only entries with a
+ * CLASS of PRIVATE or CONFIDENTIAL are redacted. With mode 'busy', all
+ * entries are redacted. PRIVATE and CONFIDENTIAL entries are always fully
+ * redacted, ignoring keep.
+ *
+ * @param {Array} events - array of event and to-do objects
+ * @param {string} mode - privacy mode, one of off, private or busy
+ * @param {Array} keep - names of fields to keep in redacted entries
+ *
+ * @returns {Array} array of events with details redacted
+ */
+export function applyPrivacy(events, mode, keep = []) {
+  if (!mode || mode === "off") {
+    return events;
+  }
+  debug("applyPrivacy", `Redacting entries with mode ${mode}`, { keep });
+
+  return events.map((e) => {
+    const isPrivate = PRIVATE_CLASSES.includes((e.class || "").toUpperCase());
+    const children = e.children && {
+      children: applyPrivacy(e.children, mode, keep),
+    };
+    if (!isPrivate && mode !== "busy") {
+      return { ...e, ...children };
+    }
+
+    const kept = isPrivate ? [] : keep;
+    const redacted = { ...e, ...children };
+    if (!kept.includes("summary")) redacted.summary = "Busy";
+    if (!kept.includes("description")) redacted.description = "";
+    if (!kept.includes("location")) redacted.location = "";
+    if (!kept.includes("attendees")) redacted.attendees = [];
+    if (!kept.includes("organizer")) redacted.organizer = "";
+    if (!kept.includes("categories")) redacted.categories = [];
+    if (!kept.includes("meeting")) {
+      redacted.meeting = { url: "", phone: "", meetingId: "", passcode: "" };
+    }
+    if (!kept.includes("alarms")) redacted.alarms = [];
+    return redacted;
+  });
+}
+
 /**
  * Parse a duration object to create a duration string
  *
@@ -202,10 +923,11 @@ export function parseDuration(d) {
  * @param {Date} dt - JavaScript Date object
  * @param {string} type - type of timestamp. Either 'active' or 'inactive'
  *                        Defaults to 'active'
+ * @param {boolean} dateOnly - if true, leave the time out of the timestamp
  *
  * @returns {string} org timestamp string
  */
-export function makeTimestamp(dt, type = "active") {
+export function makeTimestamp(dt, type = "active", dateOnly = false) {
   let start = "<";
   let end = ">";
 
@@ -213,32 +935,127 @@ export function makeTimestamp(dt, type = "active") {
     start = "[";
     end = "]";
   }
-  const fmt = `${start}yyyy-LL-dd ccc HH:mm${end}`;
+  const fmt = dateOnly
+    ? `${start}yyyy-LL-dd ccc${end}`
+    : `${start}yyyy-LL-dd ccc HH:mm${end}`;
   if (dt) {
-    let date = DateTime.fromJSDate(dt);
+    let date = DateTime.fromJSDate(dt, { zone: outputZone });
     return date.toFormat(fmt, { locale: "au" });
   }
   return "";
 }
 
 /**
- * Generates an org ranged (duration) timestamp string
+ * Generates an org ranged (duration) timestamp string. All day events
+ * use date only timestamps. As the iCalendar end date of an all day
+ * event is exclusive, the range ends on the day before it.
  *
  * @param {Date} start - start date and time
  * @param {Date} end - end date and time
+ * @param {boolean} allDay - true if this is an all day event
+ * @param {string} repeater - optional org repeater cookie, e.g. '+1w'
  *
  * @returns {string} an org timestamp string
  */
-export function makeTimestampRange(start, end) {
-  const fmt = "<yyyy-LL-dd ccc HH:mm>";
-  const sDate = DateTime.fromJSDate(start);
-  const eDate = DateTime.fromJSDate(end);
+export function makeTimestampRange(start, end, allDay = false, repeater = "") {
+  const sDate = DateTime.fromJSDate(start, { zone: outputZone });
+  const eDate = DateTime.fromJSDate(end, { zone: outputZone });
+  const rpt = repeater ? ` ${repeater}` : "";
+  if (allDay) {
+    const fmt = "<yyyy-LL-dd ccc";
+    const lastDay = eDate.minus({ days: 1 });
+    if (lastDay <= sDate) {
+      return `${sDate.toFormat(fmt)}${rpt}>`;
+    }
+    return `${sDate.toFormat(fmt)}${rpt}>--${lastDay.toFormat(fmt)}${rpt}>`;
+  }
+  const fmt = "<yyyy-LL-dd ccc HH:mm";
   if (sDate.hasSame(eDate, "day")) {
     let fmt1 = "<yyyy-LL-dd ccc HH:mm-";
-    let fmt2 = "HH:mm>";
-    return `${sDate.toFormat(fmt1)}${eDate.toFormat(fmt2)}`;
+    let fmt2 = "HH:mm";
+    return `${sDate.toFormat(fmt1)}${eDate.toFormat(fmt2)}${rpt}>`;
+  }
+  return `${sDate.toFormat(fmt)}${rpt}>--${eDate.toFormat(fmt)}${rpt}>`;
+}
+
+/**
+ * Generate an org repeater cookie for a recurring event component. Only
+ * a single RRULE which repeats every N days, weeks, months or years
+ * without an end can be written as a repeater. BYxxx rule parts are
+ * allowed when they only repeat what the DTSTART already implies, such
+ * as the BYDAY=MO that many calendars add to a weekly Monday rule.
+ *
+ * An org repeater keeps the same local time in the output time zone, so
+ * the series must be in that zone, or be floating or all day, for the
+ * times to stay right across daylight saving changes. As with EXDATE,
+ * there is no repeater when an override moves or cancels an occurrence,
+ * since org would still show the original slot. Monthly series from the
+ * 29th on, and yearly series on 29 February, have no repeater either:
+ * iCalendar skips months or years without that day, while org moves the
+ * date into the next month.
+ *
+ * @param {Object} component - an ICS VEVENT component
+ * @param {Array} exceptions - ICS VEVENT components overriding
+ *                             occurrences of the series. Defaults to []
+ *
+ * @returns {string} repeater cookie, e.g. '+1w', or an empty string if
+ *                   the rule cannot be written as an org repeater
+ */
+export function makeRepeater(component, exceptions = []) {
+  const units = { DAILY: "d", WEEKLY: "w", MONTHLY: "m", YEARLY: "y" };
+  const rrules = component.getAllProperties("rrule");
+  if (
+    rrules.length !== 1 ||
+    component.hasProperty("rdate") ||
+    component.hasProperty("exdate")
+  ) {
+    return "";
+  }
+  const recur = rrules[0].getFirstValue();
+  if (!units[recur.freq] || recur.count || recur.until) {
+    return "";
+  }
+  const start = component.getFirstPropertyValue("dtstart");
+  if (!start.isDate && !isOutputZone(start)) {
+    return "";
+  }
+  if (
+    (recur.freq === "MONTHLY" && start.day > 28) ||
+    (recur.freq === "YEARLY" && start.month === 2 && start.day === 29)
+  ) {
+    return "";
+  }
+  const moved = exceptions.some((x) => {
+    const status = (x.getFirstPropertyValue("status") || "").toUpperCase();
+    const xStart = x.getFirstPropertyValue("dtstart");
+    const recurrenceId = x.getFirstPropertyValue("recurrence-id");
+    return (
+      status === "CANCELLED" ||
+      !xStart ||
+      !recurrenceId ||
+      xStart.compare(recurrenceId) !== 0
+    );
+  });
+  if (moved) {
+    return "";
   }
-  return `${sDate.toFormat(fmt)}--${eDate.toFormat(fmt)}`;
+  const implied = {
+    BYDAY:
+      recur.freq === "WEEKLY"
+        ? [ICAL.Recur.numericDayToIcalDay(start.dayOfWeek())]
+        : null,
+    BYMONTHDAY: ["MONTHLY", "YEARLY"].includes(recur.freq)
+      ? [String(start.day)]
+      : null,
+    BYMONTH: recur.freq === "YEARLY" ? [String(start.month)] : null,
+  };
+  const representable = Object.entries(recur.parts).every(
+    ([part, values]) =>
+      implied[part] &&
+      values.length === 1 &&
+      String(values[0]) === implied[part][0],
+  );
+  return representable ? `+${recur.interval || 1}${units[recur.freq]}` : "";
 }
 
 /**
@@ -262,159 +1079,3124 @@ export function makeMailtoLink(data) {
 }
 
 /**
- * Get named property from a component
+ * Make an org link for an attendee. The attendee email address is used
+ * for the link when known, with the CN as the description.
  *
- * @param {string} name - property name
- * @param {Object} component - an ICS component
+ * @param {Object} a - attendee object
  *
- * @returns {Date | string} property value
+ * @returns {string} org link string, or the attendee name
  */
-export function getPropertyValue(name, component) {
-  let prop = component.getFirstProperty(name);
-  if (prop) {
-    switch (prop.getDefaultType()) {
-      case "text":
-        return prop.getFirstValue();
-      case "date-time": {
-        let val = prop.getFirstValue();
-        return val.toJSDate();
-      }
-      default:
-        return prop.getFirstValue().toString();
-    }
+export function makeAttendeeLink(a) {
+  if (a.email) {
+    return `[[mailto:${a.email}][${a.cn || a.email}]]`;
   }
-  return "";
+  return makeMailtoLink(a.cn);
 }
 
 /**
- * Dump an event to the specified readable stream
+ * Group attendees for display. Rooms and resources are grouped apart
+ * from people, who are grouped by role. Empty groups are left out.
  *
- * @param {Object} e - event object
+ * @param {Array} attendees - array of attendee objects
+ *
+ * @returns {Array} array of [group name, attendees] pairs
+ */
+export function groupAttendees(attendees) {
+  const groups = [
+    ["Required", []],
+    ["Optional", []],
+    ["For information", []],
+    ["Resources", []],
+  ];
+  attendees.forEach((a) => {
+    const role = (a.role || "REQ-PARTICIPANT").toUpperCase();
+    const type = (a.category || "INDIVIDUAL").toUpperCase();
+    if (["ROOM", "RESOURCE"].includes(type)) {
+      groups[3][1].push(a);
+    } else if (role === "OPT-PARTICIPANT") {
+      groups[1][1].push(a);
+    } else if (role === "NON-PARTICIPANT") {
+      groups[2][1].push(a);
+    } else {
+      groups[0][1].push(a);
+    }
+  });
+  return groups.filter(([, list]) => list.length);
+}
+
+/**
+ * Dump the attendees of an event as an org plain list or table
+ *
+ * @param {Array} attendees - array of attendee objects
  * @param {stream.Readable} rs - stream to push data onto
+ * @param {string} format - either 'list' or 'table'
  */
-export function dumpEvent(e, rs) {
-  rs.push(`* ${e.summary}\n`);
-  rs.push(":PROPERTIES:\n");
-  rs.push(":ICAL_EVENT:    t\n");
-  rs.push(`:ID:            ${e.uid}\n`);
-  if (e.organizer) rs.push(`:ORGANIZER:     ${makeMailtoLink(e.organizer)}\n`);
-  if (e.status) rs.push(`:STATUS:        ${e.status}\n`);
-  if (e.modified)
-    rs.push(`:LAST_MODIFIED: ${makeTimestamp(e.modified, "inactive")}\n`);
-  if (e.location) rs.push(`:LOCATION:      ${e.location}\n`);
-  if (e.duration) rs.push(`:DURATION:      ${parseDuration(e.duration)}\n`);
-  if (e.attendees.length) {
+export function dumpAttendees(attendees, rs, format) {
+  const groups = groupAttendees(attendees);
+  if (format === "table") {
+    const rows = groups.map(([, list]) =>
+      list.map((a) => [
+        makeAttendeeLink(a),
+        a.role || "",
+        a.status || "",
+        a.category || "INDIVIDUAL",
+        a.guests ? String(a.guests) : "",
+      ]),
+    );
+    const header = ["Attendee", "Role", "Status", "Type", "Guests"];
+    const widths = header.map((h, i) =>
+      Math.max(h.length, ...rows.flat().map((r) => r[i].length)),
+    );
+    const line = (cells) =>
+      `| ${cells.map((c, i) => c.padEnd(widths[i])).join(" | ")} |\n`;
+    const rule = `|${widths.map((w) => "-".repeat(w + 2)).join("+")}|\n`;
+    rs.push(line(header));
+    rows.forEach((group) => {
+      rs.push(rule);
+      group.forEach((r) => rs.push(line(r)));
+    });
+    return;
+  }
+  groups.forEach(([name, list]) => {
+    rs.push(`- ${name}\n`);
+    list.forEach((a) => {
+      const details = [a.status, a.role === "CHAIR" ? "CHAIR" : ""];
+      if (name === "Resources") details.push(a.category);
+      if (a.guests) details.push(`+${a.guests} guests`);
+      const info = details.filter((d) => d).join(", ");
+      rs.push(`  - ${makeAttendeeLink(a)}${info ? ` (${info})` : ""}\n`);
+    });
+  });
+}
+
+/**
+ * Test if a URL is a join link for a known video conference service
+ *
+ * @param {string} url - URL to test
+ *
+ * @returns {boolean} true if the URL host is a meeting service
+ */
+export function isMeetingUrl(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return MEETING_HOSTS.some((re) => re.test(host));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the video conference details of an event. The join link is taken
+ * from the X-GOOGLE-CONFERENCE, CONFERENCE or Microsoft Teams properties,
+ * then from a URL, LOCATION or DESCRIPTION which contains a link to a
+ * known meeting service. Dial-in phone numbers, meeting IDs and passcodes
+ * are picked out of CONFERENCE properties and the description text.
+ *
+ * @param {Object} component - an ICS VEVENT component
+ *
+ * @returns {Object} object with url, phone, meetingId and passcode
+ *                   properties. Values not found are empty strings
+ */
+export function parseMeeting(component) {
+  const value = (name) => String(component.getFirstPropertyValue(name) || "");
+  const conferences = component.getAllProperties("conference").map((p) => ({
+    uri: String(p.getFirstValue() || ""),
+    features: String(p.getParameter("feature") || "").toUpperCase(),
+  }));
+  const text = [value("url"), value("location"), value("description")].join(
+    "\n",
+  );
+  const links = (text.match(/https?:\/\/[^\s<>"'()[\]]+/gi) || []).map((u) =>
+    u.replace(/[.,;:]+$/, ""),
+  );
+
+  const url =
+    [
+      value("x-google-conference"),
+      ...conferences
+        .filter((c) => /^https?:/i.test(c.uri) && !c.features.includes("PHONE"))
+        .map((c) => c.uri),
+      value("x-microsoft-skypeteamsmeetingurl"),
+    ].find((u) => u) ||
+    links.find((u) => isMeetingUrl(u)) ||
+    "";
+
+  const description = value("description");
+  const phoneUri = conferences.find((c) => /^tel:/i.test(c.uri));
+  const phone = phoneUri
+    ? phoneUri.uri.substring(4).split(/[,;]/)[0]
+    : (description.match(/\+\d[\d ().-]{6,}\d/) || [""])[0];
+  const meetingId = (description.match(
+    /\b(?:meeting|conference|webinar)\s+ID\b\s*[:#]?\s*(\d[\d ]*\d)\b/i,
+  ) || ["", ""])[1];
+  // Passcodes must hold a digit, so words which follow 'password' in
+  // ordinary text are not taken as one
+  const passcode = (description.match(
+    /\b(?:passcode|password|PIN)\b\s*[:#]?\s*([A-Za-z]*\d[A-Za-z0-9]*)\b/i,
+  ) || ["", ""])[1];
+
+  return { url, phone, meetingId, passcode };
+}
+
+/**
+ * Get named property from a component
+ *
+ * @param {string} name - property name
+ * @param {Object} component - an ICS component
+ *
+ * @returns {Date | string} property value
+ */
+export function getPropertyValue(name, component) {
+  let prop = component.getFirstProperty(name);
+  if (prop) {
+    switch (prop.getDefaultType()) {
+      case "text":
+        return prop.getFirstValue();
+      case "date-time": {
+        let val = prop.getFirstValue();
+        return icalTimeToDate(val);
+      }
+      default:
+        return prop.getFirstValue().toString();
+    }
+  }
+  return "";
+}
+
+/**
+ * Get the IANA zone of a time whose TZID has no VTIMEZONE in the
+ * calendar. ical.js makes such times floating, but keeps the TZID.
+ *
+ * @param {Object} time - an ICAL.Time object
+ *
+ * @returns {string} IANA zone name, or an empty string if the time is
+ *                   not floating or its TZID is not a known zone
+ */
+function undefinedZone(time) {
+  const floating = !time.zone || time.zone.tzid === "floating";
+  return floating &&
+    !time.isDate &&
+    time.timezone &&
+    IANAZone.isValidZone(time.timezone)
+    ? time.timezone
+    : "";
+}
+
+/**
+ * Convert an ICAL.Time to a JavaScript Date. Times with a TZID or in UTC
+ * identify an exact instant. A TZID without a VTIMEZONE is looked up as
+ * an IANA zone. Floating times and dates have no zone, so they are
+ * taken to be in the output time zone rather than whatever zone the
+ * process happens to run in.
+ *
+ * @param {Object} time - an ICAL.Time object
+ *
+ * @returns {Date} JavaScript Date object
+ */
+export function icalTimeToDate(time) {
+  if (time.zone && time.zone.tzid === "floating") {
+    return DateTime.fromObject(
+      {
+        year: time.year,
+        month: time.month,
+        day: time.day,
+        hour: time.isDate ? 0 : time.hour,
+        minute: time.isDate ? 0 : time.minute,
+        second: time.isDate ? 0 : time.second,
+      },
+      { zone: undefinedZone(time) || outputZone },
+    ).toJSDate();
+  }
+  return time.toJSDate();
+}
+
+/**
+ * The name of the output time zone, with 'system' resolved to the zone
+ * the process runs in
+ *
+ * @returns {string} IANA zone name
+ */
+function outputZoneName() {
+  return outputZone === "system" ? DateTime.local().zoneName : outputZone;
+}
+
+/**
+ * Test if an ICAL.Time has the same local time as the output time zone,
+ * i.e. it is floating or its zone is the output zone
+ *
+ * @param {Object} time - an ICAL.Time object
+ *
+ * @returns {boolean} true if the time is in the output zone
+ */
+function isOutputZone(time) {
+  const tzid = undefinedZone(time) || (time.zone ? time.zone.tzid : "");
+  if (!tzid || tzid === "floating") {
+    return true;
+  }
+  return (tzid === "Z" ? "UTC" : tzid) === outputZoneName();
+}
+
+/**
+ * Get the original zone of an ICAL.Time when it differs from the output
+ * time zone. UTC and floating times have no original zone, but a TZID
+ * without a VTIMEZONE is reported when it is a known IANA zone.
+ *
+ * @param {Object} time - an ICAL.Time object
+ *
+ * @returns {string} the TZID of the time or an empty string
+ */
+export function getOriginalZone(time) {
+  const tzid = undefinedZone(time) || (time.zone ? time.zone.tzid : "");
+  if (!tzid || ["floating", "UTC", "Z"].includes(tzid)) {
+    return "";
+  }
+  return tzid === outputZoneName() ? "" : tzid;
+}
+
+/**
+ * Get the display alarms (VALARM with ACTION:DISPLAY) of a component.
+ * Relative triggers are returned as the number of minutes before the
+ * start or end of the event the alarm goes off. Absolute triggers are
+ * returned as the time of the alarm.
+ *
+ * @param {Object} component - an ICS VEVENT component
+ *
+ * @returns {Array} array of alarm objects with minutes, related and time
+ *                  properties
+ */
+export function parseAlarms(component) {
+  return component
+    .getAllSubcomponents("valarm")
+    .filter(
+      (a) =>
+        String(a.getFirstPropertyValue("action") || "").toUpperCase() ===
+        "DISPLAY",
+    )
+    .map((a) => a.getFirstProperty("trigger"))
+    .filter((trigger) => trigger)
+    .map((trigger) => {
+      if (trigger.type === "duration") {
+        return {
+          minutes: -trigger.getFirstValue().toSeconds() / 60,
+          related: (trigger.getParameter("related") || "START").toUpperCase(),
+          time: null,
+        };
+      }
+      return {
+        minutes: null,
+        related: "START",
+        time: icalTimeToDate(trigger.getFirstValue()),
+      };
+    });
+}
+
+/**
+ * Work out the org APPT_WARNTIME, in minutes, for a list of alarms. When
+ * there are several alarms the earliest is used. Alarms which go off
+ * after the event starts are ignored.
+ *
+ * @param {Array} alarms - array of alarm objects from parseAlarms
+ * @param {Date} start - start of the event
+ * @param {Date} end - end of the event
+ *
+ * @returns {number|null} minutes before the start or null if no alarm
+ *                        goes off before the event
+ */
+export function makeWarntime(alarms, start, end) {
+  const length = (end - start) / 60000;
+  const warntimes = (alarms || [])
+    .map((a) => {
+      if (a.time) {
+        return (start - a.time) / 60000;
+      }
+      return a.related === "END" ? a.minutes - length : a.minutes;
+    })
+    .filter((m) => m >= 0);
+  return warntimes.length ? Math.round(Math.max(...warntimes)) : null;
+}
+
+/**
+ * Test if an occurrence of a recurring event is excluded by one of the
+ * EXDATE values of the event. A date only EXDATE excludes any occurrence
+ * on that day.
+ *
+ * @param {Object} component - an ICS VEVENT component
+ * @param {Object} time - ICAL.Time of the occurrence (its RECURRENCE-ID)
+ *
+ * @returns {boolean} true if the occurrence is excluded
+ */
+export function isExcludedDate(component, time) {
+  return component
+    .getAllProperties("exdate")
+    .flatMap((p) => p.getValues())
+    .some((ex) =>
+      ex.isDate
+        ? ex.year === time.year &&
+          ex.month === time.month &&
+          ex.day === time.day
+        : ex.compare(time) === 0,
+    );
+}
+
+/**
+ * Get all the CATEGORIES values of a component. A component can have
+ * several CATEGORIES properties, each with a list of values.
+ *
+ * @param {Object} component - an ICS component
+ *
+ * @returns {Array} array of category names
+ */
+export function getCategories(component) {
+  return component
+    .getAllProperties("categories")
+    .flatMap((p) => p.getValues())
+    .map((c) => String(c).trim())
+    .filter((c) => c.length);
+}
+
+/**
+ * Test if the named property of a component is a DATE value, i.e. has
+ * no time component.
+ *
+ * @param {string} name - property name
+ * @param {Object} component - an ICS component
+ *
+ * @returns {boolean} true if the property value is a date
+ */
+export function isDateValue(name, component) {
+  let prop = component.getFirstProperty(name);
+  return prop ? prop.type === "date" : false;
+}
+
+/**
+ * Apply source settings to a list of mapped events. Events are filtered
+ * using the source include and exclude patterns, which are matched
+ * case insensitively against the event summary. Remaining events are
+ * tagged with the source name, tags and category. Child entries of a
+ * recurring series inherit the series tags, so only get the source
+ * name and category.
+ *
+ * @param {Array} events - array of event objects
+ * @param {Object} source - source object
+ *
+ * @returns {Array} array of event objects for this source
+ */
+export function applySource(events, source) {
+  debug("applySource", "Called with parameters", {
+    source: source.name,
+    eventCount: events.length,
+  });
+
+  const include = source.include ? new RegExp(source.include, "i") : null;
+  const exclude = source.exclude ? new RegExp(source.exclude, "i") : null;
+
+  const result = events
+    .filter((e) => !include || include.test(e.summary || ""))
+    .filter((e) => !exclude || !exclude.test(e.summary || ""))
+    .map((e) => ({
+      ...e,
+      source: source.name,
+      tags: [...(e.tags || []), ...source.tags],
+      category: source.category,
+      ...(e.children && {
+        children: e.children.map((c) => ({
+          ...c,
+          source: source.name,
+          category: source.category,
+        })),
+      }),
+    }));
+
+  debug(
+    "applySource",
+    `Kept ${result.length} of ${events.length} events for ${source.name}`,
+  );
+  return result;
+}
+
+/**
+ * Map a VTODO component to a to-do object
+ *
+ * @param {Object} component - an ICS VTODO component
+ *
+ * @returns {Object} to-do object
+ */
+export function mapTodo(component) {
+  const priority = parseInt(getPropertyValue("priority", component));
+  const percent = getPropertyValue("percent-complete", component);
+  return {
+    type: "todo",
+    uid: getPropertyValue("uid", component),
+    summary: getPropertyValue("summary", component),
+    description:
+      getPropertyValue("description", component) ||
+      getPropertyValue("x-alt-desc", component),
+    location: getPropertyValue("location", component),
+    status: getPropertyValue("status", component) || "NEEDS-ACTION",
+    priority: isNaN(priority) ? 0 : priority,
+    percentComplete: percent === "" ? null : parseInt(percent),
+    due: getPropertyValue("due", component) || null,
+    dueIsDate: isDateValue("due", component),
+    start: getPropertyValue("dtstart", component) || null,
+    startIsDate: isDateValue("dtstart", component),
+    completed: getPropertyValue("completed", component) || null,
+    modified: getPropertyValue("last-modified", component) || null,
+    categories: getCategories(component),
+    class: getPropertyValue("class", component),
+    attendees: [],
+  };
+}
+
+/**
+ * Generate the org priority cookie for an iCalendar PRIORITY value.
+ * Priorities 1-4 are high ([#A]), 5 is medium ([#B]) and 6-9 are low
+ * ([#C]). 0 means undefined and has no cookie.
+ *
+ * @param {number} priority - iCalendar priority
+ *
+ * @returns {string} org priority cookie or an empty string
+ */
+export function makePriorityCookie(priority) {
+  if (!priority) {
+    return "";
+  } else if (priority <= 4) {
+    return "[#A]";
+  } else if (priority === 5) {
+    return "[#B]";
+  }
+  return "[#C]";
+}
+
+/**
+ * Convert an HTML description, as sent by Outlook and Teams, to org
+ * markup. Links become org links, lists become org plain lists, line
+ * breaks and block elements become new lines and all other HTML tags
+ * are removed. Other text in angle brackets, such as email addresses,
+ * is kept.
+ *
+ * @param {string} html - HTML text
+ *
+ * @returns {string} org text
+ */
+export function htmlToOrg(html) {
+  const src = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, "");
+  const blocks = /^(p|div|tr|table|h[1-6]|blockquote|pre|hr)$/;
+  const out = [];
+  const lists = [];
+  let link = null;
+
+  src.split(/(<[^>]*>)/).forEach((token) => {
+    const tag = token.match(/^<(\/?)([a-z][a-z0-9]*)(\s[^>]*?)?\/?>$/i);
+    // Doctypes, processing instructions and namespaced Office tags such
+    // as <o:p> are dropped, other unknown <...> tokens, such as
+    // <https://...> links, are kept as text
+    if (/^<[!?]|^<\/?[a-z]+:[a-z][\w-]*(\s[^>]*)?\/?>$/i.test(token)) return;
+    if (!tag || !HTML_TAGS.has(tag[2].toLowerCase())) {
+      const text = decodeEntities(token.replace(/\s+/g, " "));
+      if (link) {
+        link.text += text;
+      } else {
+        out.push(text);
+      }
+      return;
+    }
+    const [, close, tagName, attrs = ""] = tag;
+    const name = tagName.toLowerCase();
+    if (name === "br" || blocks.test(name)) {
+      out.push("\n");
+    } else if (name === "td" || name === "th") {
+      out.push(" ");
+    } else if (name === "ul" || name === "ol") {
+      if (close) {
+        lists.pop();
+      } else {
+        lists.push({ ordered: name === "ol", count: 0 });
+      }
+      // Only top level lists are separated from the surrounding text
+      if (lists.length === (close ? 0 : 1)) out.push("\n");
+    } else if (name === "li" && !close) {
+      const list = lists[lists.length - 1] || { ordered: false, count: 0 };
+      list.count += 1;
+      const bullet = list.ordered ? `${list.count}.` : "-";
+      const indent = "  ".repeat(Math.max(lists.length - 1, 0));
+      out.push(`\n${indent}${bullet} `);
+    } else if (name === "a" && !close) {
+      const href = attrs.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      link = {
+        url: href ? decodeEntities(href[1] ?? href[2] ?? href[3]) : "",
+        text: "",
+      };
+    } else if (name === "a" && link) {
+      const text = link.text.trim().replace(/[[\]]/g, "");
+      if (!link.url) {
+        out.push(text);
+      } else if (!text || text === link.url) {
+        out.push(`[[${link.url}]]`);
+      } else {
+        out.push(`[[${link.url}][${text}]]`);
+      }
+      link = null;
+    }
+  });
+
+  return out
+    .join("")
+    .split("\n")
+    .map((line) => (/^ *(-|\d+\.) /.test(line) ? line.trimEnd() : line.trim()))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Escape lines of text which org would read as part of the document
+ * structure, i.e. headlines, keywords, blocks, comments and drawers. As
+ * in org source blocks, such lines are escaped with a leading comma.
+ *
+ * @param {string} text - text to escape
+ *
+ * @returns {string} escaped text
+ */
+export function escapeOrgText(text) {
+  return text
+    .split("\n")
+    .map((line) =>
+      /^(\*+(\s|$)|\s*#(\+|\s|$)|\s*:[\w-]+:\s*$)/.test(line)
+        ? `,${line}`
+        : line,
+    )
+    .join("\n");
+}
+
+/**
+ * Format an event or to-do description for the body of an org entry.
+ * Descriptions containing known HTML tags are converted to org markup
+ * and lines which would break the org outline are escaped.
+ *
+ * @param {string} description - description text
+ *
+ * @returns {string} org text
+ */
+export function formatDescription(description) {
+  const html = [...description.matchAll(new RegExp(HTML_TAG, "gi"))].some((m) =>
+    HTML_TAGS.has(m[2].toLowerCase()),
+  );
+  const text = html
+    ? htmlToOrg(description)
+    : description.replace(/\r\n?/g, "\n").trim();
+  return escapeOrgText(text);
+}
+
+/**
+ * Make an event summary safe to use as a headline. New lines are
+ * replaced with spaces and a trailing :word: pattern, which org would
+ * read as headline tags, is marked as verbatim text.
+ *
+ * @param {string} summary - event summary
+ *
+ * @returns {string} headline text
+ */
+export function sanitiseSummary(summary) {
+  return String(summary || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/(\s)(:[\p{L}\p{N}_@#%:]+:)$/u, "$1=$2=");
+}
+
+/**
+ * Dump a to-do to the specified readable stream as an org TODO or DONE
+ * headline. Completed and cancelled to-dos are DONE.
+ *
+ * @param {Object} t - to-do object
+ * @param {stream.Readable} rs - stream to push data onto
+ * @param {number} level - headline level. Defaults to 1
+ */
+export function dumpTodo(t, rs, level = 1) {
+  const keyword = ["COMPLETED", "CANCELLED"].includes(t.status)
+    ? "DONE"
+    : "TODO";
+  const priority = makePriorityCookie(t.priority);
+  const tags = t.tags && t.tags.length ? ` :${t.tags.join(":")}:` : "";
+  rs.push(
+    `${"*".repeat(level)} ${keyword} ${priority ? `${priority} ` : ""}${sanitiseSummary(t.summary)}${tags}\n`,
+  );
+  const planning = [];
+  if (t.start)
+    planning.push(
+      `SCHEDULED: ${makeTimestamp(t.start, "active", t.startIsDate)}`,
+    );
+  if (t.due)
+    planning.push(`DEADLINE: ${makeTimestamp(t.due, "active", t.dueIsDate)}`);
+  if (planning.length) rs.push(`${planning.join(" ")}\n`);
+  rs.push(":PROPERTIES:\n");
+  rs.push(":ICAL_TODO:     t\n");
+  rs.push(`:ID:            ${t.uid}\n`);
+  if (t.source) rs.push(`:SOURCE:        ${t.source}\n`);
+  if (t.category) rs.push(`:CATEGORY:      ${t.category}\n`);
+  rs.push(`:STATUS:        ${t.status}\n`);
+  if (t.percentComplete !== null)
+    rs.push(`:PERCENT_COMPLETE: ${t.percentComplete}\n`);
+  if (t.completed)
+    rs.push(`:COMPLETED:     ${makeTimestamp(t.completed, "inactive")}\n`);
+  if (t.modified)
+    rs.push(`:LAST_MODIFIED: ${makeTimestamp(t.modified, "inactive")}\n`);
+  if (t.location) rs.push(`:LOCATION:      ${t.location}\n`);
+  rs.push(":END:\n");
+  if (t.description) rs.push(`\n${formatDescription(t.description)}\n`);
+}
+
+/**
+ * Dump an event to the specified readable stream. Exceptions to a
+ * recurring series are written as child entries of the series and
+ * cancelled events have a CANCELLED keyword.
+ *
+ * @param {Object} e - event object
+ * @param {stream.Readable} rs - stream to push data onto
+ * @param {Object} config - configuration settings
+ * @param {number} level - headline level. Defaults to 1
+ */
+export function dumpEvent(e, rs, config = {}, level = 1) {
+  const tags = e.tags && e.tags.length ? ` :${e.tags.join(":")}:` : "";
+  const keyword = e.status === "CANCELLED" ? "CANCELLED " : "";
+  rs.push(
+    `${"*".repeat(level)} ${keyword}${sanitiseSummary(e.summary)}${tags}\n`,
+  );
+  rs.push(":PROPERTIES:\n");
+  rs.push(":ICAL_EVENT:    t\n");
+  rs.push(`:ID:            ${e.uid}\n`);
+  if (e.seriesId) rs.push(`:SERIES_ID:     ${e.seriesId}\n`);
+  if (e.recurrenceId)
+    rs.push(
+      `:RECURRENCE_ID: ${makeTimestamp(e.recurrenceId, "inactive", e.allDay)}\n`,
+    );
+  if (e.source) rs.push(`:SOURCE:        ${e.source}\n`);
+  if (e.category) rs.push(`:CATEGORY:      ${e.category}\n`);
+  if (e.organizer) rs.push(`:ORGANIZER:     ${makeMailtoLink(e.organizer)}\n`);
+  if (e.status) rs.push(`:STATUS:        ${e.status}\n`);
+  if (e.myStatus) rs.push(`:MY_STATUS:     ${e.myStatus}\n`);
+  if (e.modified)
+    rs.push(`:LAST_MODIFIED: ${makeTimestamp(e.modified, "inactive")}\n`);
+  if (e.location) rs.push(`:LOCATION:      ${e.location}\n`);
+  if (e.meeting && e.meeting.url) {
+    rs.push(`:MEETING_URL:   [[${e.meeting.url}]]\n`);
+  }
+  if (e.meeting && config.MEETING_DETAILS) {
+    if (e.meeting.phone) rs.push(`:MEETING_PHONE: ${e.meeting.phone}\n`);
+    if (e.meeting.meetingId)
+      rs.push(`:MEETING_ID:    ${e.meeting.meetingId}\n`);
+    if (e.meeting.passcode)
+      rs.push(`:MEETING_PASSCODE: ${e.meeting.passcode}\n`);
+  }
+  if (e.originalZone) {
+    rs.push(`:ORIGINAL_TZ:   ${e.originalZone}\n`);
+    rs.push(
+      `:ORIGINAL_TIME: ${DateTime.fromISO(e.originalStart, { zone: "utc" }).toFormat("[yyyy-LL-dd ccc HH:mm]")}\n`,
+    );
+  }
+  if (e.duration) rs.push(`:DURATION:      ${parseDuration(e.duration)}\n`);
+  const warntime = makeWarntime(e.alarms, e.startDate, e.endDate);
+  if (warntime !== null) rs.push(`:APPT_WARNTIME: ${warntime}\n`);
+  if (config.ALARM_TIMESTAMPS) {
+    (e.alarms || [])
+      .filter((a) => a.time)
+      .forEach((a) =>
+        rs.push(`:ALARM:         ${makeTimestamp(a.time, "inactive")}\n`),
+      );
+  }
+  const attendeeFormat = config.ATTENDEES || "property";
+  if (e.attendees.length && attendeeFormat === "property") {
     rs.push(
       `:ATTENDEES:    ${e.attendees
-        .map((a) => `${makeMailtoLink(a.cn)} (${a.status})`)
+        .map((a) => `${makeMailtoLink(a.cn || a.email)} (${a.status})`)
         .join(", ")}`,
     );
     rs.push("\n");
   }
-  rs.push(":END:\n");
-  rs.push(makeTimestampRange(e.startDate, e.endDate));
-  rs.push("\n");
-  if (e.description) rs.push(`\n${e.description}\n`);
+  rs.push(":END:\n");
+  rs.push(makeTimestampRange(e.startDate, e.endDate, e.allDay, e.repeater));
+  rs.push("\n");
+  if (e.attendees.length && attendeeFormat !== "property") {
+    dumpAttendees(e.attendees, rs, attendeeFormat);
+  }
+  if (e.description) rs.push(`\n${formatDescription(e.description)}\n`);
+  (e.children || []).forEach((c) => dumpEvent(c, rs, config, level + 1));
+}
+
+/**
+ * Parse the text of a template file. A line '#+TEMPLATE: name' starts
+ * a section, where name is one of header, event or todo, and the lines
+ * which follow, up to the next section, are the template. Lines before
+ * the first section are ignored.
+ *
+ * @param {string} text - template file contents
+ *
+ * @returns {Object} object mapping section names to template text
+ */
+export function parseTemplates(text) {
+  const templates = {};
+  let section;
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  lines.forEach((line) => {
+    const m = line.match(/^#\+TEMPLATE:\s*(\S*)\s*$/i);
+    if (m) {
+      section = m[1].toLowerCase();
+      if (!TEMPLATE_SECTIONS.includes(section)) {
+        throw new Error(
+          `parseTemplates: Unknown template section '${m[1]}'. Must be one of ${TEMPLATE_SECTIONS.join(", ")}`,
+        );
+      }
+      templates[section] = "";
+    } else if (section) {
+      templates[section] += `${line}\n`;
+    }
+  });
+  debug("parseTemplates", "Parsed template sections", {
+    sections: Object.keys(templates),
+  });
+  return templates;
+}
+
+/**
+ * @async
+ *
+ * Read and parse a template file. See parseTemplates for the format.
+ *
+ * @param {string} file - path to the template file
+ *
+ * @returns {Promise<Object>} object mapping section names to template text
+ */
+export async function loadTemplates(file) {
+  debug("loadTemplates", `Reading template file ${file}`);
+  try {
+    return parseTemplates(await readFile(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`loadTemplates: ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Look up a dotted path, such as 'meeting.url', in an object. Only own
+ * properties are followed, so templates cannot reach prototypes.
+ *
+ * @param {Object} scope - object to look the path up in
+ * @param {string} path - dotted path
+ *
+ * @returns {*} value at the path, or undefined if there is none
+ */
+function lookupPath(scope, path) {
+  return path.split(".").reduce((value, key) => {
+    if (value === null || typeof value !== "object") return undefined;
+    return Object.hasOwn(value, key) ? value[key] : undefined;
+  }, scope);
+}
+
+/**
+ * Work out the value of a template argument. Arguments are quoted
+ * strings, numbers, true, false, null or a field path.
+ *
+ * @param {string} token - argument text
+ * @param {Object} scope - fields available to the template
+ *
+ * @returns {*} argument value
+ */
+function templateArgument(token, scope) {
+  const quoted = token.match(/^"([^"]*)"$|^'([^']*)'$/);
+  if (quoted) {
+    return quoted[1] ?? quoted[2];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) {
+    return Number(token);
+  }
+  const literals = { true: true, false: false, null: null };
+  if (Object.hasOwn(literals, token)) {
+    return literals[token];
+  }
+  if (/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(token)) {
+    return lookupPath(scope, token);
+  }
+  throw new Error(`Invalid argument '${token}'`);
+}
+
+/**
+ * Render a template. Each {{ field }} in the template is replaced with
+ * the value of the field, which can be a dotted path such as
+ * 'meeting.url'. Each {{ helper arg ... }} is replaced with the result of
+ * calling a template helper, see templateHelpers, with the arguments,
+ * which are fields, quoted strings, numbers, true, false or null. A helper
+ * whose first argument is empty is not called and renders as empty.
+ * Nothing is evaluated as code. Unknown fields are empty. Values of null,
+ * undefined or false render as an empty string and arrays are joined with
+ * ', '. A line whose expressions all render as empty strings is left out,
+ * so optional properties can be written one per line.
+ *
+ * @param {string} template - template text
+ * @param {Object} scope - fields available to the template
+ *
+ * @returns {string} rendered text
+ */
+export function renderTemplate(template, scope) {
+  const helpers = templateHelpers();
+
+  function evaluate(expr) {
+    try {
+      const [name, ...args] = expr.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+      if (!name) {
+        throw new Error("Empty expression");
+      }
+      let value;
+      if (!args.length) {
+        value = templateArgument(name, scope);
+      } else if (Object.hasOwn(helpers, name)) {
+        const values = args.map((a) => templateArgument(a, scope));
+        value =
+          values[0] === undefined || values[0] === null || values[0] === ""
+            ? ""
+            : helpers[name](...values);
+      } else {
+        throw new Error(`Unknown helper '${name}'`);
+      }
+      if (value === undefined || value === null || value === false) {
+        return "";
+      }
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    } catch (err) {
+      throw new Error(`renderTemplate: Error in {{${expr}}}: ${err.message}`);
+    }
+  }
+
+  return template
+    .split("\n")
+    .flatMap((line) => {
+      let count = 0;
+      let empty = 0;
+      const text = line.replace(/\{\{(.+?)\}\}/g, (m, expr) => {
+        const value = evaluate(expr.trim());
+        count++;
+        if (value === "") empty++;
+        return value;
+      });
+      return count && count === empty ? [] : [text];
+    })
+    .join("\n");
+}
+
+/**
+ * Helper functions which templates can call
+ *
+ * @returns {Object} object mapping helper names to functions
+ */
+function templateHelpers() {
+  return {
+    makeMailtoLink,
+    makeTimestamp,
+    makeTimestampRange,
+    makePriorityCookie,
+    makeWarntime,
+    makeTag,
+    parseDuration,
+    formatDescription,
+    sanitiseSummary,
+    orgTags: (tags) => (tags && tags.length ? ` :${tags.join(":")}:` : ""),
+    attendeeList: (attendees, format = "list") => {
+      const lines = [];
+      dumpAttendees(attendees || [], lines, format);
+      return lines.join("").replace(/\n$/, "");
+    },
+  };
+}
+
+/**
+ * Render an event or to-do with a template and push it onto the
+ * readable stream. Templates can use every field of the entry, config,
+ * e (the entry itself), level, stars (the headline stars for level) and
+ * keyword (the headline keyword followed by a space, or an empty string),
+ * as well as the template helpers. Children of a series are rendered with
+ * the same template one level down.
+ *
+ * @param {Object} e - event or to-do object
+ * @param {stream.Readable} rs - stream to push data onto
+ * @param {string} template - template text
+ * @param {Object} config - configuration settings
+ * @param {number} level - headline level. Defaults to 1
+ */
+export function dumpTemplate(e, rs, template, config = {}, level = 1) {
+  let keyword = e.status === "CANCELLED" ? "CANCELLED " : "";
+  if (e.type === "todo") {
+    keyword = ["COMPLETED", "CANCELLED"].includes(e.status) ? "DONE " : "TODO ";
+  }
+  const text = renderTemplate(template, {
+    ...e,
+    e,
+    config,
+    level,
+    stars: "*".repeat(level),
+    keyword,
+  });
+  rs.push(text.endsWith("\n") ? text : `${text}\n`);
+  (e.children || []).forEach((c) =>
+    dumpTemplate(c, rs, template, config, level + 1),
+  );
+}
+
+/**
+ * The date an entry is filed under in grouped layouts. This is the start
+ * of an event and the start, or else the due date, of a to-do.
+ *
+ * @param {Object} e - event or to-do object
+ *
+ * @returns {Date|null} entry date or null if the entry has no date
+ */
+function entryDate(e) {
+  return (e.type === "todo" ? e.start || e.due : e.startDate) || null;
+}
+
+/**
+ * Arrange entries in an outline for the LAYOUT setting. The 'flat' layout
+ * returns the entries unchanged. Other layouts sort the entries by date
+ * and file them under heading objects, which have a type of 'heading',
+ * a title and an entries array. The 'datetree' layout uses year, month
+ * and day headings, as used by org-capture datetrees, 'week' uses year,
+ * ISO week and day headings and 'source' uses a heading for each source
+ * calendar. Entries without a date are sorted last and, in date based
+ * layouts, filed under an 'Undated' heading.
+ *
+ * @param {Array} events - array of event and to-do objects
+ * @param {string} layout - one of flat, datetree, week or source
+ *
+ * @returns {Array} array of heading objects, or entries for flat
+ */
+export function groupEntries(events, layout = "flat") {
+  if (layout === "flat") {
+    return events;
+  }
+  debug("groupEntries", `Grouping ${events.length} entries by ${layout}`);
+
+  const time = (e) => (entryDate(e) ? entryDate(e).getTime() : Infinity);
+  const sorted = [...events].sort((a, b) => time(a) - time(b));
+  const path = (e) => {
+    if (layout === "source") {
+      return [e.source || "default"];
+    }
+    const d = entryDate(e);
+    if (!d) {
+      return ["Undated"];
+    }
+    const dt = DateTime.fromJSDate(d, { zone: outputZone });
+    const opts = { locale: "au" };
+    const day = dt.toFormat("yyyy-LL-dd cccc", opts);
+    return layout === "week"
+      ? [`${dt.weekYear}`, `${dt.weekYear}-W${dt.toFormat("WW")}`, day]
+      : [dt.toFormat("yyyy"), dt.toFormat("yyyy-LL LLLL", opts), day];
+  };
+
+  const root = [];
+  sorted.forEach((e) => {
+    let entries = root;
+    path(e).forEach((title) => {
+      let heading = entries.find(
+        (h) => h.type === "heading" && h.title === title,
+      );
+      if (!heading) {
+        heading = { type: "heading", title, entries: [] };
+        entries.push(heading);
+      }
+      entries = heading.entries;
+    });
+    entries.push(e);
+  });
+  return root;
+}
+
+/**
+ * Dump an event or to-do to the readable stream, using the event or todo
+ * template when given.
+ *
+ * @param {Object} e - event or to-do object
+ * @param {stream.Readable} rs - stream to push data onto
+ * @param {Object} config - configuration settings
+ * @param {Object} templates - event and todo templates
+ * @param {number} level - headline level
+ */
+function dumpEntry(e, rs, config, templates, level) {
+  const template = templates[e.type === "todo" ? "todo" : "event"];
+  if (template) {
+    dumpTemplate(e, rs, template, config, level);
+  } else if (e.type === "todo") {
+    dumpTodo(e, rs, level);
+  } else {
+    dumpEvent(e, rs, config, level);
+  }
+}
+
+/**
+ * Dump entries, and the headings of grouped layouts, to the readable
+ * stream. Event and to-do templates are used when given.
+ *
+ * @param {Array} entries - entries and heading objects from groupEntries
+ * @param {stream.Readable} rs - stream to push data onto
+ * @param {Object} config - configuration settings
+ * @param {Object} templates - event and todo templates
+ * @param {number} level - headline level. Defaults to 1
+ */
+function dumpEntries(entries, rs, config, templates, level = 1) {
+  entries.forEach((e) => {
+    if (e.type === "heading") {
+      rs.push(`${"*".repeat(level)} ${e.title}\n`);
+      dumpEntries(e.entries, rs, config, templates, level + 1);
+    } else {
+      dumpEntry(e, rs, config, templates, level);
+    }
+  });
+}
+
+/**
+ * Generate the org file header, from the header template when given.
+ * A #+STALE: line is added for each source where cached data was used.
+ *
+ * @param {Object} config - configuration settings
+ * @param {Array} stale - array of objects with name and refreshed properties
+ * @param {Object} templates - optional header template
+ *
+ * @returns {Array} array of header lines
+ */
+function makeHeader(config, stale, templates) {
+  const staleHeaders = stale.map(
+    (s) =>
+      `#+STALE:       ${s.name} last refreshed ${makeTimestamp(new Date(s.refreshed), "inactive")}\n`,
+  );
+  if (templates.header) {
+    return [
+      renderTemplate(templates.header, {
+        ...config,
+        config,
+      }),
+      ...staleHeaders,
+    ];
+  }
+  return [
+    `#+TITLE:       ${config.TITLE}\n`,
+    `#+AUTHOR:      ${config.AUTHOR}\n`,
+    `#+EMAIL:       ${config.EMAIL}\n`,
+    "#+DESCRIPTION: converted using icsorg node script\n",
+    `#+CATEGORY:    ${config.CATEGORY}\n`,
+    `#+STARTUP:     ${config.STARTUP}\n`,
+    `#+FILETAGS:    ${config.FILETAGS}\n`,
+    "#+TODO:        TODO | DONE CANCELLED\n",
+    ...staleHeaders,
+    "\n",
+  ];
+}
+
+/**
+ * @async
+ *
+ * Create new org file from list of events. An ORG_FILE of '-' writes the
+ * org document to standard output. When MERGE is set, the entries are
+ * merged into the existing org file instead, see mergeOrgFile. The file
+ * is written with writeOrgFile, so it is replaced atomically and left
+ * alone when its contents have not changed.
+ *
+ * @param {Object} config - configuration settings
+ * @param {Array} events - array of event objects
+ * @param {Array} stale - optional array of objects with name and refreshed
+ *                        properties for sources where cached data was used
+ * @param {Object} templates - optional header, event and todo templates, as
+ *                            returned by parseTemplates, used in place of
+ *                            the built in layout
+ *
+ * @returns {Promise<boolean>} resolves to true if the file was written or
+ *                             false if it was unchanged, rejects on error
+ */
+export async function createOrgFile(
+  config,
+  events,
+  stale = [],
+  templates = {},
+) {
+  debug("createOrgFile", "Called with parameters", {
+    outputFile: config.ORG_FILE,
+    eventCount: events.length,
+    title: config.TITLE,
+    stale,
+    templates: Object.keys(templates),
+  });
+
+  if (config.MERGE) {
+    return mergeOrgFile(config, events, stale, templates);
+  }
+
+  try {
+    const rs = [];
+    debug("createOrgFile", "Rendering header");
+    makeHeader(config, stale, templates).forEach((h) => rs.push(h));
+
+    debug("createOrgFile", `Rendering ${events.length} events`);
+    dumpEntries(groupEntries(events, config.LAYOUT), rs, config, templates);
+
+    return await writeOrgFile(config.ORG_FILE, rs.join(""), {
+      backups: config.BACKUPS,
+    });
+  } catch (err) {
+    debug("createOrgFile", "Error occurred", { error: err.message });
+    throw new Error(`createOrgFile: ${err.message}`);
+  }
+}
+
+/**
+ * @async
+ *
+ * Write an org file safely. The text is written to a temporary file in
+ * the same directory, which is then renamed over the org file, so other
+ * programs never see a partly written file. Nothing is written when the
+ * file already holds the same bytes, so its modification time only
+ * changes when its contents do. When backups is set, a copy of the old
+ * file is kept as FILE.yyyymmddThhmmss.bak and only that many of the
+ * newest backups are kept. A file of '-' writes to standard output.
+ *
+ * @param {string} file - path of the org file or '-'
+ * @param {string} text - org file contents
+ * @param {Object} options - optional settings. Supports backups, the
+ *                           number of backups to keep. Defaults to 0
+ *
+ * @returns {Promise<boolean>} resolves to true if the file was written or
+ *                             false if it was unchanged
+ */
+export async function writeOrgFile(file, text, options = {}) {
+  const { backups = 0 } = options;
+
+  if (file === "-") {
+    debug("writeOrgFile", "Writing to standard output");
+    await new Promise((resolve, reject) =>
+      process.stdout.write(text, (err) => (err ? reject(err) : resolve())),
+    );
+    return true;
+  }
+
+  // Replace the target of a symbolic link rather than the link itself
+  const target = await realpath(file).catch(() => file);
+  let current = null;
+  let mode;
+  try {
+    current = await readFile(target);
+    mode = (await stat(target)).mode & 0o777;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const data = Buffer.from(text, "utf-8");
+  if (current && current.equals(data)) {
+    debug("writeOrgFile", `${file} unchanged, not written`);
+    return false;
+  }
+
+  if (current && backups > 0) {
+    await backupFile(target, backups);
+  }
+
+  const tmp = join(dirname(target), `.${basename(target)}.${process.pid}.tmp`);
+  try {
+    await writeFile(tmp, data, { mode });
+    await rename(tmp, target);
+  } catch (err) {
+    await rm(tmp, { force: true });
+    throw err;
+  }
+  debug("writeOrgFile", `Wrote ${data.length} bytes to ${file}`);
+  return true;
+}
+
+/**
+ * @async
+ *
+ * Copy a file to a timestamped backup, FILE.yyyymmddThhmmss.bak, and
+ * remove the oldest backups so that only keep of them are left
+ *
+ * @param {string} file - path of the file to back up
+ * @param {number} keep - number of backups to keep
+ */
+async function backupFile(file, keep) {
+  const dir = dirname(file);
+  const name = basename(file);
+  const stamp = DateTime.now().toFormat("yyyyLLdd'T'HHmmss");
+  const backup = join(dir, `${name}.${stamp}.bak`);
+  debug("backupFile", `Backing up ${file} to ${backup}`);
+  await copyFile(file, backup);
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^${escaped}\\.\\d{8}T\\d{6}\\.bak$`);
+  const old = (await readdir(dir)).filter((f) => pattern.test(f)).sort();
+  for (const f of old.slice(0, -keep)) {
+    debug("backupFile", `Removing old backup ${f}`);
+    await rm(join(dir, f));
+  }
+}
+
+/**
+ * Parse the text of an org file into its preamble, the lines before the
+ * first headline, and a tree of headline nodes. Each node has a title,
+ * the headline text after the stars, the lines of its entry and an array
+ * of child nodes.
+ *
+ * @param {string} text - org file contents
+ *
+ * @returns {Object} object with preamble and entries arrays
+ */
+export function parseOrg(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  const doc = { preamble: [], entries: [] };
+  const stack = [];
+  lines.forEach((line) => {
+    const m = line.match(/^(\*+)(?: (.*))?$/);
+    if (!m) {
+      (stack.length ? stack[stack.length - 1].node.lines : doc.preamble).push(
+        line,
+      );
+      return;
+    }
+    const level = m[1].length;
+    const node = { title: m[2] || "", lines: [], children: [] };
+    while (stack.length && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    (stack.length ? stack[stack.length - 1].node.children : doc.entries).push(
+      node,
+    );
+    stack.push({ level, node });
+  });
+  return doc;
+}
+
+/**
+ * Convert headline nodes back to org lines, starting at a headline level
+ *
+ * @param {Array} nodes - array of headline nodes
+ * @param {number} level - headline level of the nodes
+ *
+ * @returns {Array} array of lines
+ */
+function orgLines(nodes, level) {
+  return nodes.flatMap((n) => [
+    `${"*".repeat(level)} ${n.title}`,
+    ...n.lines,
+    ...orgLines(n.children, level + 1),
+  ]);
+}
+
+/**
+ * Split the lines of an org entry into the planning line, the property
+ * drawer, the properties it holds and the body which follows
+ *
+ * @param {Object} node - headline node
+ *
+ * @returns {Object} object with planning, drawer, props and body
+ */
+function splitEntry(node) {
+  const lines = node.lines;
+  let i = 0;
+  let planning = null;
+  if (/^\s*(SCHEDULED|DEADLINE|CLOSED):/.test(lines[0] || "")) {
+    planning = lines[0];
+    i = 1;
+  }
+  let drawer = [];
+  const props = {};
+  if (/^\s*:PROPERTIES:\s*$/i.test(lines[i] || "")) {
+    const end = lines.findIndex((l, j) => j > i && /^\s*:END:\s*$/i.test(l));
+    if (end !== -1) {
+      drawer = lines.slice(i, end + 1);
+      drawer.slice(1, -1).forEach((l) => {
+        const m = l.match(/^\s*:([^:\s]+):\s?(.*)$/);
+        if (m) props[m[1].toUpperCase()] = m[2].trim();
+      });
+      i = end + 1;
+    }
+  }
+  return { planning, drawer, props, body: lines.slice(i) };
+}
+
+/**
+ * Find the :ICAL: drawer in the body of an entry
+ *
+ * @param {Array} body - body lines
+ *
+ * @returns {Array} start and end indexes of the drawer, or null
+ */
+function findIcalDrawer(body) {
+  const start = body.findIndex((l) => /^\s*:ICAL:\s*$/.test(l));
+  if (start === -1) return null;
+  const end = body.findIndex((l, j) => j > start && /^\s*:END:\s*$/.test(l));
+  return end === -1 ? null : [start, end];
+}
+
+/**
+ * Test if a headline node was written by icsorg
+ *
+ * @param {Object} node - headline node
+ *
+ * @returns {boolean} true for generated entries
+ */
+function isGenerated(node) {
+  const { props, body } = splitEntry(node);
+  return Boolean(
+    props.ID &&
+    ("ICAL_EVENT" in props ||
+      "ICAL_TODO" in props ||
+      "ICAL_TAGS" in props ||
+      findIcalDrawer(body)),
+  );
+}
+
+/**
+ * The ID, recurrence ID and start of an entry and whether it was written
+ * by icsorg. These are looked up many times while merging, so they are
+ * worked out once for each node.
+ *
+ * @param {Object} node - headline node
+ *
+ * @returns {Object} object with id, recurrence, start and generated
+ */
+function entryInfo(node) {
+  let info = entryInfoCache.get(node);
+  if (!info) {
+    const { props } = splitEntry(node);
+    info = {
+      id: props.ID,
+      recurrence: props.RECURRENCE_ID || "",
+      start: entryStart(node),
+      generated: isGenerated(node),
+    };
+    entryInfoCache.set(node, info);
+  }
+  return info;
+}
+
+/**
+ * The start of the first active timestamp in an entry, as 'yyyy-mm-dd'
+ * or 'yyyy-mm-dd hh:mm', used to tell apart entries with the same ID
+ *
+ * @param {Object} node - headline node
+ *
+ * @returns {string} start of the timestamp or an empty string
+ */
+function entryStart(node) {
+  const text = [node.title, ...node.lines].join("\n");
+  const m = text.match(
+    /<(\d{4}-\d{2}-\d{2})(?: [^\s\d>]+)?(?: (\d{2}:\d{2}))?/,
+  );
+  return m ? [m[1], m[2]].filter(Boolean).join(" ") : "";
+}
+
+/**
+ * Convert a date to a string in the output time zone which compares with
+ * org timestamp starts, see entryStart and parseOrgTimestamp
+ *
+ * @param {Date} date - date to convert, may be missing
+ *
+ * @returns {string} 'yyyy-mm-dd hh:mm', or an empty string without a date
+ */
+function comparableTime(date) {
+  return date
+    ? DateTime.fromJSDate(date, { zone: outputZone }).toFormat(
+        "yyyy-LL-dd HH:mm",
+      )
+    : "";
+}
+
+/**
+ * Split a headline into its TODO keyword, priority cookie, text and tags
+ *
+ * @param {string} title - headline text after the stars
+ * @param {Array} keywords - TODO keywords in use
+ *
+ * @returns {Object} object with keyword, priority, text and tags
+ */
+function parseHeadline(title, keywords) {
+  let text = title;
+  let keyword = "";
+  let priority = "";
+  let tags = [];
+  const t = text.match(/^(.*?)\s+(:[^\s]+:)\s*$/);
+  if (t) {
+    text = t[1];
+    tags = splitTags(t[2]);
+  }
+  const k = text.match(/^(\S+)(?:\s+(.*))?$/);
+  if (k && keywords.includes(k[1])) {
+    keyword = k[1];
+    text = k[2] || "";
+  }
+  const p = text.match(/^(\[#[A-Z0-9]+\])(?:\s+(.*))?$/);
+  if (p) {
+    priority = p[1];
+    text = p[2] || "";
+  }
+  return { keyword, priority, text, tags };
+}
+
+/**
+ * Build a headline from its parts
+ *
+ * @param {Object} h - object with keyword, priority, text and tags
+ *
+ * @returns {string} headline text after the stars
+ */
+function makeHeadline(h) {
+  const tags = h.tags.length ? ` :${h.tags.join(":")}:` : "";
+  return `${[h.keyword, h.priority, h.text].filter(Boolean).join(" ")}${tags}`;
+}
+
+/**
+ * The TODO keywords declared in the preamble of an org file, as well as
+ * the default TODO and DONE keywords
+ *
+ * @param {Array} preamble - preamble lines
+ *
+ * @returns {Array} array of keywords
+ */
+function todoKeywords(preamble) {
+  const keywords = ["TODO", "DONE"];
+  preamble.forEach((l) => {
+    const m = l.match(/^#\+(?:SEQ_|TYP_)?TODO:(.*)$/i);
+    if (m) {
+      m[1]
+        .split(/\s+/)
+        .filter((w) => w && w !== "|")
+        .forEach((w) => keywords.push(w.replace(/\(.*\)$/, "")));
+    }
+  });
+  return keywords;
+}
+
+/**
+ * Prepare a newly generated entry for merging. The entry body, which
+ * holds the timestamp, attendees and description, is wrapped in an
+ * :ICAL: drawer so that notes added outside it can be kept. The tags
+ * written by icsorg are recorded in an :ICAL_TAGS: property, so that
+ * tags added by hand can be told apart. The property is also written,
+ * empty, when a templated entry has no tags and no :ICAL_EVENT: or
+ * :ICAL_TODO: property, as the entry would otherwise not be recognised
+ * as generated by the next merge.
+ *
+ * @param {Object} node - headline node of the generated entry
+ * @param {Array} keywords - TODO keywords in use
+ *
+ * @returns {Object} prepared headline node
+ */
+function prepareEntry(node, keywords) {
+  const { planning, drawer, props, body } = splitEntry(node);
+  if (!props.ID) {
+    throw new Error(
+      `prepareEntry: '${node.title}' has no :ID: property, which MERGE needs to match entries`,
+    );
+  }
+  const tags = parseHeadline(node.title, keywords).tags;
+  const marked = "ICAL_EVENT" in props || "ICAL_TODO" in props;
+  const ical = [...body];
+  while (ical.length && !ical[ical.length - 1].trim()) ical.pop();
+  return {
+    title: node.title,
+    lines: [
+      ...(planning ? [planning] : []),
+      ...drawer.slice(0, -1),
+      ...(tags.length
+        ? [`:ICAL_TAGS:     :${tags.join(":")}:`]
+        : marked
+          ? []
+          : [":ICAL_TAGS:"]),
+      ...drawer.slice(-1),
+      ...(ical.length ? [":ICAL:", ...ical, ":END:"] : []),
+    ],
+    children: node.children.map((c) => prepareEntry(c, keywords)),
+  };
+}
+
+/**
+ * Pair generated entries with existing entries. Entries are matched on
+ * their :ID: property. When several entries share an ID, as occurrences
+ * of a recurring event do, they are matched on :RECURRENCE_ID: or the
+ * start of their timestamp.
+ *
+ * @param {Array} entries - new headline nodes
+ * @param {Array} existing - existing generated headline nodes
+ *
+ * @returns {Map} map from new node to the matching existing node
+ */
+function matchEntries(entries, existing) {
+  const counts = new Map();
+  entries.forEach((n) => {
+    const { id } = entryInfo(n);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  // Existing entries grouped by ID, then by recurrence ID or, for
+  // entries without one, by start
+  const groups = new Map();
+  const add = (map, key, node) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(node);
+  };
+  existing.forEach((o) => {
+    const { id, recurrence, start } = entryInfo(o);
+    if (!groups.has(id)) {
+      groups.set(id, { all: [], recurrence: new Map(), start: new Map() });
+    }
+    const group = groups.get(id);
+    group.all.push(o);
+    if (recurrence) {
+      add(group.recurrence, recurrence, o);
+    } else {
+      add(group.start, start, o);
+    }
+  });
+
+  const matches = new Map();
+  const used = new Set();
+  const unused = (list) => (list || []).find((o) => !used.has(o));
+  entries.forEach((n) => {
+    const { id, recurrence, start } = entryInfo(n);
+    const group = groups.get(id);
+    if (!group) return;
+    let match;
+    if (counts.get(id) === 1 && group.all.length === 1) {
+      match = unused(group.all);
+    } else if (recurrence) {
+      match = unused(group.recurrence.get(recurrence));
+    } else {
+      match = unused(group.start.get(start));
+    }
+    if (match) {
+      matches.set(n, match);
+      used.add(match);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Check whether an entry is dated outside the merge window. Entries
+ * without a timestamp and series with a repeater are inside it.
+ *
+ * @param {Object} node - headline node
+ * @param {Object} ctx - merge context
+ *
+ * @returns {boolean} true if the entry starts before or after the window
+ */
+function outsideWindow(node, ctx) {
+  const { start } = entryInfo(node);
+  const timestamp = [node.title, ...node.lines]
+    .join("\n")
+    .match(/<\d{4}-\d{2}-\d{2}[^>]*>/);
+  if (!start || /\s[.+]?\+\d+[hdwmy]/.test(timestamp[0])) {
+    return false;
+  }
+  return Boolean(
+    (ctx.start && start < ctx.start) || (ctx.end && start > ctx.end),
+  );
+}
+
+/**
+ * Handle an existing generated entry which is no longer in the calendar,
+ * as set by the removed option. With 'delete' it is dropped, with 'mark'
+ * it is kept and tagged 'removed' and with 'archive' it is moved to the
+ * archived list, with org ARCHIVE_TIME and ARCHIVE_FILE properties.
+ * Entries dated outside the merge window have only left the date range,
+ * not the calendar, and are kept as they are.
+ *
+ * @param {Object} node - headline node
+ * @param {Object} ctx - merge context
+ *
+ * @returns {Array} array holding the node to keep, if any
+ */
+function removeEntry(node, ctx) {
+  if (outsideWindow(node, ctx)) {
+    return [node];
+  }
+  debug("removeEntry", `Entry removed upstream: ${node.title}`, {
+    mode: ctx.removed,
+  });
+  if (ctx.removed === "mark") {
+    const h = parseHeadline(node.title, ctx.keywords);
+    if (!h.tags.includes(REMOVED_TAG)) h.tags.push(REMOVED_TAG);
+    return [{ ...node, title: makeHeadline(h) }];
+  }
+  if (ctx.removed === "archive") {
+    const { planning, drawer, body } = splitEntry(node);
+    const time = DateTime.fromJSDate(ctx.now, { zone: outputZone }).toFormat(
+      "yyyy-LL-dd ccc HH:mm",
+      { locale: "au" },
+    );
+    const props = [
+      `:ARCHIVE_TIME: ${time}`,
+      ...(ctx.file ? [`:ARCHIVE_FILE: ${ctx.file}`] : []),
+    ];
+    ctx.archived.push({
+      ...node,
+      lines: [
+        ...(planning ? [planning] : []),
+        ...(drawer.length ? drawer.slice(0, -1) : [":PROPERTIES:"]),
+        ...props,
+        ":END:",
+        ...body,
+      ],
+    });
+  }
+  return [];
+}
+
+/**
+ * Merge a generated entry with the existing entry it matches. The
+ * headline text, generated tags, timestamp, managed properties and the
+ * :ICAL: drawer come from the generated entry. TODO keywords and
+ * priorities added to events, tags and properties added by hand, other
+ * drawers, notes and child headlines are kept from the existing entry.
+ *
+ * @param {Object} n - prepared generated headline node
+ * @param {Object} o - existing headline node
+ * @param {Object} ctx - merge context
+ *
+ * @returns {Object} merged headline node
+ */
+function mergeEntry(n, o, ctx) {
+  const ne = splitEntry(n);
+  const oe = splitEntry(o);
+  const nh = parseHeadline(n.title, ctx.keywords);
+  const oh = parseHeadline(o.title, ctx.keywords);
+  const isTodo = "ICAL_TODO" in ne.props;
+  const ical = findIcalDrawer(oe.body);
+
+  // Entries never merged before have no record of their generated tags
+  const generatedTags =
+    "ICAL_TAGS" in oe.props || ical ? splitTags(oe.props.ICAL_TAGS) : oh.tags;
+  const headline = {
+    keyword:
+      nh.keyword || (isTodo || oh.keyword === "CANCELLED" ? "" : oh.keyword),
+    priority: nh.priority || (isTodo ? "" : oh.priority),
+    text: nh.text,
+    tags: [
+      ...nh.tags,
+      ...oh.tags.filter(
+        (t) =>
+          t !== REMOVED_TAG &&
+          !generatedTags.includes(t) &&
+          !nh.tags.includes(t),
+      ),
+    ],
+  };
+
+  const managed = [...MANAGED_PROPERTIES, ...Object.keys(ne.props)];
+  const userProps = oe.drawer.slice(1, -1).filter((l) => {
+    const m = l.match(/^\s*:([^:\s]+):/);
+    return !m || !managed.includes(m[1].toUpperCase());
+  });
+  const planning = isTodo || ne.planning ? ne.planning : oe.planning;
+  const body = ical
+    ? [...oe.body.slice(0, ical[0]), ...ne.body, ...oe.body.slice(ical[1] + 1)]
+    : ne.body;
+
+  const oldChildren = o.children.filter((c) => entryInfo(c).generated);
+  const matches = matchEntries(n.children, oldChildren);
+  const matched = [...matches.values()];
+
+  return {
+    title: makeHeadline(headline),
+    lines: [
+      ...(planning ? [planning] : []),
+      ...ne.drawer.slice(0, -1),
+      ...userProps,
+      ...ne.drawer.slice(-1),
+      ...body,
+    ],
+    children: [
+      ...n.children.map((c) =>
+        matches.has(c) ? mergeEntry(c, matches.get(c), ctx) : c,
+      ),
+      ...oldChildren
+        .filter((c) => !matched.includes(c))
+        .flatMap((c) => removeEntry(c, ctx)),
+      ...o.children.filter((c) => !entryInfo(c).generated),
+    ],
+  };
+}
+
+/**
+ * Insert an entry into an org outline under a path of headings, which
+ * are created when missing. New headings are placed in title order and,
+ * under a heading, entries are placed in order of their timestamps.
+ *
+ * @param {Array} tree - top level headline nodes
+ * @param {Object} node - headline node to insert
+ * @param {Array} path - titles of the headings to insert the node under
+ */
+function insertEntry(tree, node, path) {
+  let nodes = tree;
+  path.forEach((title) => {
+    let heading = nodes.find(
+      (n) => !entryInfo(n).generated && n.title === title,
+    );
+    if (!heading) {
+      heading = { title, lines: [], children: [] };
+      const i = nodes.findIndex(
+        (n) => !entryInfo(n).generated && n.title > title,
+      );
+      nodes.splice(i === -1 ? nodes.length : i, 0, heading);
+    }
+    nodes = heading.children;
+  });
+  const { start } = entryInfo(node);
+  const i = path.length
+    ? nodes.findIndex(
+        (n) => entryInfo(n).generated && entryInfo(n).start > start,
+      )
+    : -1;
+  nodes.splice(i === -1 ? nodes.length : i, 0, node);
+}
+
+/**
+ * Merge generated org entries into the text of an existing org file.
+ * Entries written by icsorg are matched by their :ID: property and
+ * updated, keeping notes and other changes made by hand. New entries are
+ * added under the headings given by their path. Headlines not written
+ * by icsorg are kept as they are. Existing entries which are no longer
+ * generated are deleted, marked or archived, as set by options.removed,
+ * unless they are dated outside the window from options.start to
+ * options.end.
+ * Header keywords from the new header replace the same keywords in the
+ * existing file.
+ *
+ * @param {string} existing - existing org file text, may be empty
+ * @param {Object} generated - object with header, the new header text,
+ *                             and entries, an array of objects with the
+ *                             text of each entry and the path of headings
+ *                             it belongs under
+ * @param {Object} options - optional settings. Supports removed, one of
+ *                           delete (the default), mark or archive, file,
+ *                           the org file name for ARCHIVE_FILE, now,
+ *                           the date used for ARCHIVE_TIME, and start and
+ *                           end, the dates of the window
+ *
+ * @returns {Object} object with text, the merged org file, and archived,
+ *                   the text of archived entries
+ */
+export function mergeOrg(existing, generated, options = {}) {
+  const { removed = "delete", file = "", now = new Date() } = options;
+  const old = parseOrg(existing);
+  const header = parseOrg(generated.header);
+  const keywords = [
+    "CANCELLED",
+    ...todoKeywords(header.preamble),
+    ...todoKeywords(old.preamble),
+  ];
+  const ctx = {
+    keywords,
+    removed,
+    file,
+    now,
+    start: comparableTime(options.start),
+    end: comparableTime(options.end),
+    archived: [],
+  };
+  debug("mergeOrg", "Merging entries", {
+    entries: generated.entries.length,
+    removed,
+  });
+
+  const entries = generated.entries.map((e) => {
+    const [node] = parseOrg(e.text).entries;
+    if (!node) {
+      throw new Error("mergeOrg: Generated entry has no headline");
+    }
+    return { path: e.path, node: prepareEntry(node, keywords) };
+  });
+
+  const existingEntries = [];
+  const walk = (nodes) =>
+    nodes.forEach((n) =>
+      entryInfo(n).generated ? existingEntries.push(n) : walk(n.children),
+    );
+  walk(old.entries);
+  const matches = matchEntries(
+    entries.map((e) => e.node),
+    existingEntries,
+  );
+  const byExisting = new Map([...matches].map(([n, o]) => [o, n]));
+  const paths = new Map(entries.map((e) => [e.node, e.path]));
+  const moved = new Map();
+
+  const rebuild = (nodes, path) =>
+    nodes.flatMap((o) => {
+      if (!entryInfo(o).generated) {
+        return [{ ...o, children: rebuild(o.children, [...path, o.title]) }];
+      }
+      const n = byExisting.get(o);
+      if (!n) {
+        return removeEntry(o, ctx);
+      }
+      const merged = mergeEntry(n, o, ctx);
+      if (paths.get(n).join("\n") === path.join("\n")) {
+        return [merged];
+      }
+      moved.set(n, merged);
+      return [];
+    });
+  const tree = rebuild(old.entries, []);
+  entries.forEach((e) => {
+    if (!matches.has(e.node)) {
+      insertEntry(tree, e.node, e.path);
+    } else if (moved.has(e.node)) {
+      insertEntry(tree, moved.get(e.node), e.path);
+    }
+  });
+
+  const keywordOf = (l) => (l.match(/^#\+(\w+):/) || [])[1]?.toUpperCase();
+  const headerLines = [...header.preamble];
+  while (headerLines.length && !headerLines[headerLines.length - 1].trim()) {
+    headerLines.pop();
+  }
+  const newKeywords = headerLines.map(keywordOf).filter(Boolean);
+  const kept = old.preamble.filter((l) => {
+    const k = keywordOf(l);
+    if (!l.trim() || k === "STALE") return false;
+    if (/^(SEQ_|TYP_)?TODO$/.test(k)) return !headerLines.includes(l);
+    return !newKeywords.includes(k);
+  });
+
+  const text = [...headerLines, ...kept, "", ...orgLines(tree, 1)].join("\n");
+  return {
+    text: `${text}\n`,
+    archived: ctx.archived
+      .map((n) => `${orgLines([n], 1).join("\n")}\n`)
+      .join(""),
+  };
+}
+
+/**
+ * Render entries and the headings of grouped layouts as separate pieces
+ * of org text, each with the path of headings it belongs under
+ *
+ * @param {Array} entries - entries and heading objects from groupEntries
+ * @param {Object} config - configuration settings
+ * @param {Object} templates - event and todo templates
+ * @param {Array} path - titles of the enclosing headings
+ *
+ * @returns {Array} array of objects with path and text
+ */
+function collectEntries(entries, config, templates, path = []) {
+  return entries.flatMap((e) => {
+    if (e.type === "heading") {
+      return collectEntries(e.entries, config, templates, [...path, e.title]);
+    }
+    const rs = [];
+    dumpEntry(e, rs, config, templates, path.length + 1);
+    return [{ path, text: rs.join("") }];
+  });
+}
+
+/**
+ * @async
+ *
+ * Merge events into the existing ORG_FILE, see mergeOrg. The file is
+ * created if it does not exist. With REMOVED set to 'archive', entries
+ * removed upstream are appended to ORG_FILE_archive, the default org
+ * archive file.
+ *
+ * @param {Object} config - configuration settings
+ * @param {Array} events - array of event objects
+ * @param {Array} stale - array of objects with name and refreshed
+ *                        properties for sources where cached data was used
+ * @param {Object} templates - header, event and todo templates
+ *
+ * @returns {Promise<boolean>} resolves to true if the file was written or
+ *                             false if it was unchanged
+ */
+async function mergeOrgFile(config, events, stale, templates) {
+  debug("mergeOrgFile", `Merging into ${config.ORG_FILE}`);
+  try {
+    const header = makeHeader(config, stale, templates).join("");
+    const entries = collectEntries(
+      groupEntries(events, config.LAYOUT),
+      config,
+      templates,
+    );
+    let existing = "";
+    try {
+      existing = await readFile(config.ORG_FILE, "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      debug("mergeOrgFile", "No existing org file, creating it");
+    }
+    const { text, archived } = mergeOrg(
+      existing,
+      { header, entries },
+      {
+        removed: config.REMOVED,
+        file: config.ORG_FILE,
+        start: config.START_DATE?.toJSDate(),
+        end: config.END_DATE?.toJSDate(),
+      },
+    );
+    const written = await writeOrgFile(config.ORG_FILE, text, {
+      backups: config.BACKUPS,
+    });
+    if (archived) {
+      await appendFile(`${config.ORG_FILE}_archive`, archived, "utf-8");
+    }
+    debug("mergeOrgFile", "Merge completed");
+    return written;
+  } catch (err) {
+    debug("mergeOrgFile", "Error occurred", { error: err.message });
+    throw new Error(`mergeOrgFile: ${err.message}`);
+  }
+}
+
+/**
+ * Convert the first org timestamp in some text to a comparable string,
+ * 'yyyy-mm-dd' or 'yyyy-mm-dd hh:mm'. Both the start and end of ranges
+ * are returned.
+ *
+ * @param {string} text - text holding an active or inactive timestamp
+ *
+ * @returns {Object} object with start and end strings, empty if there is
+ *                   no timestamp
+ */
+function parseOrgTimestamp(text) {
+  const ts =
+    "[<[](\\d{4}-\\d{2}-\\d{2})(?: [^\\s\\d>\\]]+)?(?: (\\d{2}:\\d{2})(?:-(\\d{2}:\\d{2}))?)?[^>\\]]*[>\\]]";
+  const m = (text || "").match(new RegExp(`${ts}(?:--${ts})?`));
+  if (!m) {
+    return { start: "", end: "" };
+  }
+  const start = [m[1], m[2]].filter(Boolean).join(" ");
+  let end = start;
+  if (m[4]) {
+    end = [m[4], m[5]].filter(Boolean).join(" ");
+  } else if (m[3]) {
+    end = `${m[1]} ${m[3]}`;
+  }
+  return { start, end };
+}
+
+/**
+ * Summarise events for change reports. Each event, including the children
+ * of a series, becomes a record with its uid, recurrenceId, start, end,
+ * summary, location and status. Times are strings in the form written to
+ * the org file. To-dos are left out.
+ *
+ * @param {Array} events - array of event and to-do objects
+ *
+ * @returns {Array} array of event records
+ */
+export function snapshotEvents(events) {
+  return events
+    .filter((e) => e.type !== "todo")
+    .flatMap((e) => [
+      {
+        uid: e.uid,
+        recurrenceId: e.recurrenceId
+          ? parseOrgTimestamp(
+              makeTimestamp(e.recurrenceId, "inactive", e.allDay),
+            ).start
+          : "",
+        ...parseOrgTimestamp(
+          makeTimestampRange(e.startDate, e.endDate, e.allDay),
+        ),
+        summary: sanitiseSummary(e.summary),
+        location: e.location || "",
+        status: e.status || "",
+      },
+      ...snapshotEvents(e.children || []),
+    ]);
+}
+
+/**
+ * Read event records, as made by snapshotEvents, from the events in an
+ * org file written by icsorg
+ *
+ * @param {string} text - org file contents
+ *
+ * @returns {Array} array of event records
+ */
+export function readOrgSnapshot(text) {
+  const doc = parseOrg(text);
+  const keywords = ["CANCELLED", ...todoKeywords(doc.preamble)];
+  const records = [];
+  const walk = (nodes) =>
+    nodes.forEach((n) => {
+      const { planning, props, body } = splitEntry(n);
+      if (isGenerated(n) && !("ICAL_TODO" in props)) {
+        // Skip the property drawer, its RECURRENCE_ID is also a timestamp
+        const when = parseOrgTimestamp([n.title, ...body].join("\n"));
+        records.push({
+          uid: props.ID,
+          recurrenceId: parseOrgTimestamp(props.RECURRENCE_ID).start,
+          ...(when.start ? when : parseOrgTimestamp(planning)),
+          summary: parseHeadline(n.title, keywords).text,
+          location: props.LOCATION || "",
+          status: props.STATUS || "",
+        });
+      }
+      walk(n.children);
+    });
+  walk(doc.entries);
+  return records;
+}
+
+/**
+ * Compare two sets of event records. Events are matched by uid and, for
+ * occurrences of recurring events, the recurrence ID. Matched events with
+ * a different start or end are rescheduled and those with a different
+ * summary, location or status are modified. Events which have only moved
+ * out of or into the date window are not reported: old events which ended
+ * before window.start are not removed and new events which start after
+ * window.end, the end of the last run's window, are not added.
+ *
+ * @param {Array} before - event records from the last run
+ * @param {Array} after - event records from this run
+ * @param {Object} window - optional start of this run's window and end of
+ *                          the last run's window, as dates
+ *
+ * @returns {Object} object with added, removed, rescheduled and modified
+ *                   arrays. Rescheduled and modified items have before,
+ *                   after and changes, the names of changed fields
+ */
+export function diffEvents(before, after, window = {}) {
+  const start = comparableTime(window.start);
+  const end = comparableTime(window.end);
+  // All day records hold dates, which are compared with the window day
+  const endedBefore = (r) =>
+    start &&
+    (r.end.length === 10 ? r.end < start.slice(0, 10) : r.end <= start);
+  const startsAfter = (r) =>
+    end &&
+    (r.start.length === 10 ? r.start > end.slice(0, 10) : r.start >= end);
+  const key = (r) => `${r.uid}\n${r.recurrenceId || ""}`;
+  const old = new Map(before.map((r) => [key(r), r]));
+  const seen = new Set();
+  const report = { added: [], removed: [], rescheduled: [], modified: [] };
+
+  after.forEach((a) => {
+    const b = old.get(key(a));
+    seen.add(key(a));
+    if (!b) {
+      if (!startsAfter(a)) report.added.push(a);
+      return;
+    }
+    const changes = ["start", "end", "summary", "location", "status"].filter(
+      (f) => (b[f] || "") !== (a[f] || ""),
+    );
+    if (changes.includes("start") || changes.includes("end")) {
+      report.rescheduled.push({ before: b, after: a, changes });
+    } else if (changes.length) {
+      report.modified.push({ before: b, after: a, changes });
+    }
+  });
+  report.removed = before.filter((b) => !seen.has(key(b)) && !endedBefore(b));
+
+  const startOf = (r) => (r.after || r).start;
+  Object.values(report).forEach((list) =>
+    list.sort((x, y) => startOf(x).localeCompare(startOf(y))),
+  );
+  debug("diffEvents", "Compared events", {
+    added: report.added.length,
+    removed: report.removed.length,
+    rescheduled: report.rescheduled.length,
+    modified: report.modified.length,
+  });
+  return report;
+}
+
+/**
+ * Format a report from diffEvents as human readable text
+ *
+ * @param {Object} report - report object from diffEvents
+ *
+ * @returns {string} report text
+ */
+export function formatReport(report) {
+  const { added, removed, rescheduled, modified } = report;
+  if (
+    !added.length &&
+    !removed.length &&
+    !rescheduled.length &&
+    !modified.length
+  ) {
+    return "No calendar changes";
+  }
+  const line = (r, text = "") => `  ${r.start.padEnd(16)}  ${r.summary}${text}`;
+  const lines = [
+    `Calendar changes: ${added.length} added, ${removed.length} removed, ${rescheduled.length} rescheduled, ${modified.length} modified`,
+  ];
+  const section = (title, items, fn) => {
+    if (items.length) lines.push("", title, ...items.map(fn));
+  };
+  section("Added", added, (r) => line(r));
+  section("Removed", removed, (r) => line(r));
+  const describe = (r) =>
+    r.changes
+      .filter((f) => f !== "start" && f !== "end")
+      .map((f) => `${f} '${r.before[f]}' -> '${r.after[f]}'`)
+      .join(", ");
+  section("Rescheduled", rescheduled, (r) => {
+    const other = describe(r);
+    return line(
+      r.before,
+      ` moved to ${r.after.start}${r.after.end !== r.after.start ? ` - ${r.after.end}` : ""}${other ? `; ${other}` : ""}`,
+    );
+  });
+  section("Modified", modified, (r) => line(r.after, `: ${describe(r)}`));
+  return lines.join("\n");
+}
+
+/**
+ * @async
+ *
+ * Read the event records of the last run and the end of its date window.
+ * SNAPSHOT_FILE is used if it exists, otherwise the events in ORG_FILE
+ * are read and the window end is worked out from when the file was last
+ * written and FUTURE. If there is neither, there are no records.
+ *
+ * @param {Object} config - configuration settings
+ *
+ * @returns {Promise<Object>} object with records, an array of event
+ *                            records, and end, the window end date or
+ *                            null if it is not known
+ */
+export async function loadSnapshot(config) {
+  const read = async (file) => {
+    try {
+      return await readFile(file, "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw new Error(`loadSnapshot: ${file}: ${err.message}`);
+      }
+      return null;
+    }
+  };
+  if (config.SNAPSHOT_FILE) {
+    const text = await read(config.SNAPSHOT_FILE);
+    if (text !== null) {
+      debug("loadSnapshot", `Using snapshot ${config.SNAPSHOT_FILE}`);
+      try {
+        const snapshot = JSON.parse(text);
+        // Snapshots used to be saved as a plain array of records
+        return Array.isArray(snapshot)
+          ? { records: snapshot, end: null }
+          : {
+              records: snapshot.records,
+              end: snapshot.end ? new Date(snapshot.end) : null,
+            };
+      } catch (err) {
+        throw new Error(
+          `loadSnapshot: ${config.SNAPSHOT_FILE}: ${err.message}`,
+        );
+      }
+    }
+  }
+  if (config.ORG_FILE && config.ORG_FILE !== "-") {
+    const text = await read(config.ORG_FILE);
+    if (text !== null) {
+      debug("loadSnapshot", `Reading events from ${config.ORG_FILE}`);
+      const { mtime } = await stat(config.ORG_FILE);
+      return {
+        records: readOrgSnapshot(text),
+        end: Number.isFinite(config.FUTURE)
+          ? DateTime.fromJSDate(mtime).plus({ days: config.FUTURE }).toJSDate()
+          : null,
+      };
+    }
+  }
+  return { records: [], end: null };
+}
+
+/**
+ * @async
+ *
+ * Save event records, and the end of the date window they cover, to a
+ * snapshot file for the next change report
+ *
+ * @param {string} file - path of the snapshot file
+ * @param {Array} records - array of event records from snapshotEvents
+ * @param {Date} end - end of the date window
+ *
+ * @returns {Promise<boolean>} resolves to true if the file was written or
+ *                             false if it was unchanged
+ */
+export async function saveSnapshot(file, records, end) {
+  debug("saveSnapshot", `Saving ${records.length} records to ${file}`);
+  try {
+    const snapshot = { end: end ? end.toISOString() : null, records };
+    return await writeOrgFile(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+  } catch (err) {
+    throw new Error(`saveSnapshot: ${err.message}`);
+  }
+}
+
+/**
+ * Test if a source is a URL rather than a local file path. The http,
+ * https, webcal and webcals schemes are recognised.
+ *
+ * @param {string} source - source location
+ *
+ * @returns {boolean} true if source is a URL
+ */
+export function isUrl(source) {
+  return /^(https?|webcals?):\/\//i.test(source || "");
+}
+
+/**
+ * Map webcal:// and webcals:// URLs, as used by calendar subscribe links,
+ * to http:// and https:// URLs. Other values are returned unchanged.
+ *
+ * @param {string} source - source URL
+ *
+ * @returns {string} URL which can be fetched
+ */
+export function normaliseUrl(source) {
+  return source.replace(/^webcal(s?):\/\//i, "http$1://");
+}
+
+/**
+ * @async
+ *
+ * Fetch a URL and read the response body. Network errors, timeouts and
+ * 5xx responses are retried with exponential backoff, waiting retryDelay,
+ * then twice that, and so on between attempts.
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} init - fetch request options
+ * @param {Object} options - optional settings. Supports timeout, the
+ *                           milliseconds to wait for each attempt (0 for no
+ *                           limit), maxRedirects, the number of redirects
+ *                           to follow, retries, the number of times to
+ *                           retry, and retryDelay, the milliseconds to wait
+ *                           before the first retry
+ *
+ * @returns {Promise<Object>} object with resp, the fetch Response, and
+ *                            body, the response body as a string
+ */
+async function fetchWithRetry(url, init, options) {
+  const {
+    timeout = 0,
+    maxRedirects = 20,
+    retries = 0,
+    retryDelay = 1000,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = timeout
+      ? setTimeout(() => controller.abort(), timeout)
+      : null;
+    let retryReason;
+    try {
+      const resp = await fetch(url, {
+        ...init,
+        follow: maxRedirects,
+        signal: controller.signal,
+      });
+      const body = await resp.text();
+      if (resp.status < 500 || attempt >= retries) {
+        return { resp, body };
+      }
+      retryReason = `HTTP ${resp.status}: ${resp.statusText}`;
+    } catch (err) {
+      if (err.name === "AbortError") {
+        err.message = `Request timed out after ${timeout} ms`;
+      }
+      if (attempt >= retries || err.type === "max-redirect") {
+        throw err;
+      }
+      retryReason = err.message.split(url).join(redactUrl(url));
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const delay = retryDelay * 2 ** attempt;
+    debug("fetchWithRetry", `Attempt ${attempt + 1} failed, retrying`, {
+      reason: retryReason,
+      delay,
+    });
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Generate the base path for cache files belonging to a URL. The URL is
+ * hashed so that no part of it (which may contain private tokens) ends
+ * up in a file name.
+ *
+ * @param {string} cacheDir - path to the cache directory
+ * @param {string} url - URL being cached
+ *
+ * @returns {string} cache file path without extension
+ */
+function cachePath(cacheDir, url) {
+  return join(cacheDir, createHash("sha256").update(url).digest("hex"));
+}
+
+/**
+ * @async
+ *
+ * Read the cached body and metadata for a URL
+ *
+ * @param {string} cacheDir - path to the cache directory
+ * @param {string} url - URL to look up
+ *
+ * @returns {Promise<Object|null>} object with data, etag, lastModified and
+ *                                 fetched properties, or null if there is
+ *                                 no usable cache entry
+ */
+async function readCacheEntry(cacheDir, url) {
+  const base = cachePath(cacheDir, url);
+  try {
+    const meta = JSON.parse(await readFile(`${base}.json`, "utf-8"));
+    const data = await readFile(`${base}.ics`, "utf-8");
+    debug("readCacheEntry", "Found cache entry", meta);
+    return { ...meta, data };
+  } catch (err) {
+    debug("readCacheEntry", "No usable cache entry", { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * @async
+ *
+ * Store the body and metadata for a URL in the cache
+ *
+ * @param {string} cacheDir - path to the cache directory
+ * @param {string} url - URL being cached
+ * @param {Object} entry - object with data, etag, lastModified and fetched
+ *                         properties
+ */
+async function writeCacheEntry(cacheDir, url, entry) {
+  const base = cachePath(cacheDir, url);
+  const { data, ...meta } = entry;
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(`${base}.ics`, data, "utf-8");
+  await writeFile(`${base}.json`, JSON.stringify(meta, null, 2), "utf-8");
+  debug("writeCacheEntry", "Updated cache entry", meta);
+}
+
+/**
+ * @async
+ *
+ * Store the cache entry returned by getIcsData. This is only done once
+ * the org file has been written, so a failed run is retried in full,
+ * rather than finding no changes next time.
+ *
+ * @param {Object} result - object returned by getIcsData
+ */
+export async function commitCache(result) {
+  if (result.cache) {
+    const { dir, url, entry } = result.cache;
+    await writeCacheEntry(dir, url, entry);
+  }
 }
 
 /**
- * Create new org file from list of events
+ * Make a key for everything, other than calendar data, which decides
+ * the content of the org file, i.e. the settings, templates and the days
+ * covered by PAST and FUTURE. When the key differs from the last run,
+ * the org file is regenerated even if no calendar data changed.
  *
  * @param {Object} config - configuration settings
- * @param {Array} events - array of event objects
+ * @param {Object} templates - templates loaded from TEMPLATE_FILE
  *
- * @returns {Promise<void>} resolves when file is fully written, rejects on error
+ * @returns {string} key
  */
-export function createOrgFile(config, events) {
-  debug("createOrgFile", "Called with parameters", {
-    outputFile: config.ORG_FILE,
-    eventCount: events.length,
-    title: config.TITLE,
-  });
+export function outputKey(config, templates = {}) {
+  const settings = {
+    ...config,
+    START_DATE: config.START_DATE?.toISODate(),
+    END_DATE: config.END_DATE?.toISODate(),
+  };
+  return createHash("sha256")
+    .update(JSON.stringify({ settings, templates }))
+    .digest("hex");
+}
 
-  const header = [
-    `#+TITLE:       ${config.TITLE}\n`,
-    `#+AUTHOR:      ${config.AUTHOR}\n`,
-    `#+EMAIL:       ${config.EMAIL}\n`,
-    "#+DESCRIPTION: converted using icsorg node script\n",
-    `#+CATEGORY:    ${config.CATEGORY}\n`,
-    `#+STARTUP:     ${config.STARTUP}\n`,
-    `#+FILETAGS:    ${config.FILETAGS}\n`,
-    "\n",
-  ];
+/**
+ * Path of the file in CACHE_DIR holding the output key for ORG_FILE
+ *
+ * @param {Object} config - configuration settings
+ *
+ * @returns {string} file path
+ */
+function outputKeyPath(config) {
+  return `${cachePath(config.CACHE_DIR, `output:${resolvePath(config.ORG_FILE)}`)}.json`;
+}
 
-  return new Promise((resolve, reject) => {
-    try {
-      debug("createOrgFile", "Creating write stream");
-      const of = createWriteStream(config.ORG_FILE, {
-        encoding: "utf-8",
-        flags: "w",
-      });
-      const rs = new Readable({ read() {} });
+/**
+ * @async
+ *
+ * Read the output key stored in CACHE_DIR by the last run which wrote
+ * ORG_FILE, see outputKey
+ *
+ * @param {Object} config - configuration settings
+ *
+ * @returns {Promise<string>} stored key, or an empty string if there is none
+ */
+export async function readOutputKey(config) {
+  if (!config.CACHE_DIR) return "";
+  const file = outputKeyPath(config);
+  try {
+    return JSON.parse(await readFile(file, "utf-8")).key || "";
+  } catch (err) {
+    debug("readOutputKey", "No stored output key", { error: err.message });
+    return "";
+  }
+}
 
-      of.on("error", (err) => {
-        debug("createOrgFile", "Write stream error", { error: err.message });
-        reject(new Error(`createOrgFile: ${err.message}`));
-      });
+/**
+ * @async
+ *
+ * Store the output key for ORG_FILE in CACHE_DIR, see outputKey
+ *
+ * @param {Object} config - configuration settings
+ * @param {string} key - output key
+ */
+export async function writeOutputKey(config, key) {
+  if (!config.CACHE_DIR) return;
+  const file = outputKeyPath(config);
+  await mkdir(config.CACHE_DIR, { recursive: true });
+  await writeFile(file, JSON.stringify({ key }, null, 2), "utf-8");
+  debug("writeOutputKey", "Updated output key", { key });
+}
+
+/**
+ * @async
+ *
+ * Fetch ICS data from a URL. When a cache directory is supplied, the ETag
+ * and Last-Modified values from the previous fetch are sent as
+ * If-None-Match and If-Modified-Since headers and a 304 response reuses
+ * the cached body. When fallback is enabled, a failed fetch returns the
+ * cached body marked as stale instead of throwing an error. The cache
+ * entry records the fallback, so the next successful fetch is reported as
+ * changed, even when the server answers 304. The cache is not updated
+ * here, the returned cache property is passed to commitCache once the
+ * org file has been written.
+ *
+ * @param {string} url - URL which will return an .ics file
+ * @param {Object} options - optional settings. Supports cacheDir, fallback
+ *                           and headers plus the fetchWithRetry options
+ *
+ * @returns {Promise<Object>} object with data, changed, stale, refreshed
+ *                            and cache properties
+ */
+async function fetchIcsUrl(url, options) {
+  const { cacheDir, fallback } = options;
+  const cached = cacheDir ? await readCacheEntry(cacheDir, url) : null;
+  const headers = { ...options.headers };
+  if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+  if (cached && cached.lastModified)
+    headers["If-Modified-Since"] = cached.lastModified;
 
-      of.on("finish", () => {
-        debug("createOrgFile", "File creation completed");
-        resolve();
+  let resp;
+  let data;
+  try {
+    debug("fetchIcsUrl", "Fetching from URL", {
+      headers: Object.keys(headers),
+    });
+    ({ resp, body: data } = await fetchWithRetry(url, { headers }, options));
+    debug("fetchIcsUrl", "Fetch response received", {
+      status: resp.status,
+      statusText: resp.statusText,
+    });
+    if (!resp.ok && !(resp.status === 304 && cached)) {
+      throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    }
+  } catch (err) {
+    // Errors from fetch can include the full URL
+    err.message = err.message.split(url).join(redactUrl(url));
+    if (fallback && cached) {
+      debug("fetchIcsUrl", "Fetch failed, falling back to cached data", {
+        error: err.message,
+        refreshed: cached.fetched,
       });
+      return {
+        data: cached.data,
+        changed: true,
+        stale: true,
+        refreshed: cached.fetched,
+        error: err.message,
+        cache: { dir: cacheDir, url, entry: { ...cached, stale: true } },
+      };
+    }
+    throw err;
+  }
+
+  const refreshed = new Date().toISOString();
+  if (resp.status === 304) {
+    debug("fetchIcsUrl", "Not modified, using cached data");
+    // The last org file was written from stale data, so still needs its
+    // #+STALE: line removed
+    return {
+      data: cached.data,
+      changed: Boolean(cached.stale),
+      stale: false,
+      refreshed,
+      cache: {
+        dir: cacheDir,
+        url,
+        entry: { ...cached, stale: false, fetched: refreshed },
+      },
+    };
+  }
 
-      debug("createOrgFile", "Writing header");
-      header.forEach((h) => rs.push(h));
+  debug("fetchIcsUrl", `Retrieved ${data.length} bytes from URL`);
+  const changed = !cached || cached.stale || cached.data !== data;
+  const entry = {
+    data,
+    etag: resp.headers.get("etag"),
+    lastModified: resp.headers.get("last-modified"),
+    fetched: refreshed,
+  };
+  return {
+    data,
+    changed,
+    stale: false,
+    refreshed,
+    ...(cacheDir ? { cache: { dir: cacheDir, url, entry } } : {}),
+  };
+}
 
-      debug("createOrgFile", `Writing ${events.length} events`);
-      events.forEach((e) => dumpEvent(e, rs));
+/**
+ * Generate the body of a CalDAV calendar-query REPORT requesting all
+ * components of the given type which overlap the given time range
+ *
+ * @param {Date} start - start of time range
+ * @param {Date} end - end of time range
+ * @param {string} component - component type. Defaults to 'VEVENT'
+ *
+ * @returns {string} XML request body
+ */
+export function buildCalendarQuery(start, end, component = "VEVENT") {
+  const fmt = (d) =>
+    DateTime.fromJSDate(d).toUTC().toFormat("yyyyLLdd'T'HHmmss'Z'");
+  return [
+    "<?xml version='1.0' encoding='utf-8' ?>",
+    "<C:calendar-query xmlns:D='DAV:' xmlns:C='urn:ietf:params:xml:ns:caldav'>",
+    "  <D:prop>",
+    "    <D:getetag/>",
+    "    <C:calendar-data/>",
+    "  </D:prop>",
+    "  <C:filter>",
+    "    <C:comp-filter name='VCALENDAR'>",
+    `      <C:comp-filter name='${component}'>`,
+    `        <C:time-range start='${fmt(start)}' end='${fmt(end)}'/>`,
+    "      </C:comp-filter>",
+    "    </C:comp-filter>",
+    "  </C:filter>",
+    "</C:calendar-query>",
+  ].join("\n");
+}
 
-      rs.push(null);
-      rs.pipe(of);
-    } catch (err) {
-      debug("createOrgFile", "Error occurred", { error: err.message });
-      reject(new Error(`createOrgFile: ${err.message}`));
+/**
+ * Replace XML and HTML character entities in a string with the
+ * characters they represent. Unknown named entities are left as is.
+ *
+ * @param {string} text - text containing entities
+ *
+ * @returns {string} decoded text
+ */
+function decodeEntities(text) {
+  const entities = {
+    lt: "<",
+    gt: ">",
+    amp: "&",
+    quot: "\u0022",
+    apos: "'",
+    nbsp: " ",
+  };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (ent, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.substring(2), 16)
+          : parseInt(name.substring(1)),
+      );
     }
+    return entities[name.toLowerCase()] || ent;
   });
 }
 
+/**
+ * Extract the calendar-data values from a CalDAV multistatus response
+ *
+ * @param {string} xml - multistatus response body
+ *
+ * @returns {Array} array of .ics strings, one per calendar object
+ */
+export function parseCalendarData(xml) {
+  const re =
+    /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  const calendars = [];
+  let m;
+  while ((m = re.exec(xml)) !== null) {
+    let text = m[1].trim();
+    const cdata = text.match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+    if (cdata) {
+      text = cdata[1];
+    } else {
+      text = decodeEntities(text);
+    }
+    if (text.length) {
+      calendars.push(text);
+    }
+  }
+  return calendars;
+}
+
+/**
+ * Merge several VCALENDAR objects into a single VCALENDAR containing all
+ * their components. Time zone definitions are only included once.
+ *
+ * @param {Array} calendars - array of .ics strings
+ *
+ * @returns {string} merged .ics data
+ */
+export function mergeCalendars(calendars) {
+  const components = [];
+  const tzids = new Set();
+
+  calendars.forEach((cal) => {
+    let depth = 0;
+    let current = [];
+    cal.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("BEGIN:")) depth++;
+      if (depth >= 2) current.push(line);
+      if (line.startsWith("END:")) {
+        depth--;
+        if (depth === 1 && current.length) {
+          const tzid =
+            current[0] === "BEGIN:VTIMEZONE" &&
+            current.find((l) => l.startsWith("TZID:"));
+          if (!tzid || !tzids.has(tzid)) {
+            if (tzid) tzids.add(tzid);
+            components.push(...current);
+          }
+          current = [];
+        }
+      }
+    });
+  });
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//icsorg//CalDAV merge//EN",
+    ...components,
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
 /**
  * @async
  *
- * Retrieve event data from ICS source. This could be either a local file
- * or a URL which returns an .ics file (like Google).
+ * Fetch events and to-dos from a CalDAV calendar collection using
+ * calendar-query REPORTs limited to the given time range. The returned
+ * calendar objects are merged into a single VCALENDAR. Supports the same cacheDir, fallback
+ * and headers options as fetchIcsUrl.
  *
- * @param {string} source - either path to a local file or a URL which will return an .ics file
+ * @param {string} url - URL of the CalDAV calendar collection
+ * @param {Object} options - settings. Requires start and end dates
  *
- * @returns {Promise<string>} The .ics data as a string
+ * @returns {Promise<Object>} object with data, changed, stale, refreshed
+ *                            and cache properties
  */
-export async function getIcsData(source) {
-  debug("getIcsData", "Called with source", { source });
+async function fetchCalDav(url, options) {
+  const { cacheDir, fallback } = options;
+  const cached = cacheDir ? await readCacheEntry(cacheDir, url) : null;
 
+  let calendars = [];
   try {
-    let data;
-    if (source.startsWith("http")) {
-      debug("getIcsData", "Fetching from URL");
-      const resp = await fetch(source);
-      debug("getIcsData", "Fetch response received", {
+    // A calendar-query can only match one component type
+    for (const component of ["VEVENT", "VTODO"]) {
+      debug("fetchCalDav", `Sending calendar-query REPORT for ${component}`);
+      const { resp, body } = await fetchWithRetry(
+        url,
+        {
+          method: "REPORT",
+          headers: {
+            ...options.headers,
+            Depth: "1",
+            "Content-Type": "application/xml; charset=utf-8",
+          },
+          body: buildCalendarQuery(options.start, options.end, component),
+        },
+        options,
+      );
+      debug("fetchCalDav", "REPORT response received", {
         status: resp.status,
         statusText: resp.statusText,
       });
       if (!resp.ok) {
         throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
       }
-      data = await resp.text();
-      debug("getIcsData", `Retrieved ${data.length} bytes from URL`);
+      calendars.push(...parseCalendarData(body));
+    }
+  } catch (err) {
+    err.message = err.message.split(url).join(redactUrl(url));
+    if (fallback && cached) {
+      debug("fetchCalDav", "REPORT failed, falling back to cached data", {
+        error: err.message,
+        refreshed: cached.fetched,
+      });
+      return {
+        data: cached.data,
+        changed: true,
+        stale: true,
+        refreshed: cached.fetched,
+        error: err.message,
+        cache: { dir: cacheDir, url, entry: { ...cached, stale: true } },
+      };
+    }
+    throw err;
+  }
+
+  debug("fetchCalDav", `Retrieved ${calendars.length} calendar objects`);
+  const data = mergeCalendars(calendars);
+  const refreshed = new Date().toISOString();
+  const changed = !cached || cached.stale || cached.data !== data;
+  return {
+    data,
+    changed,
+    stale: false,
+    refreshed,
+    ...(cacheDir
+      ? { cache: { dir: cacheDir, url, entry: { data, fetched: refreshed } } }
+      : {}),
+  };
+}
+
+/**
+ * Split an mbox file into individual messages. Each message starts with a
+ * line beginning 'From '.
+ *
+ * @param {string} text - contents of an mbox file
+ *
+ * @returns {Array} array of message strings
+ */
+export function splitMbox(text) {
+  return text
+    .split(/^From .*\r?\n/m)
+    .map((m) => m.replace(/^>(>*From )/gm, "$1"))
+    .filter((m) => m.trim().length);
+}
+
+/**
+ * Split a MIME entity into its headers and body. Header names are
+ * lower cased and folded header lines are joined.
+ *
+ * @param {string} raw - MIME entity, such as a complete message
+ *
+ * @returns {Object} object with headers and body properties
+ */
+function splitMimeEntity(raw) {
+  const m = raw.match(/\r?\n\r?\n/);
+  const head = m ? raw.substring(0, m.index) : raw;
+  const body = m ? raw.substring(m.index + m[0].length) : "";
+  const headers = {};
+  head
+    .replace(/\r?\n[ \t]+/g, " ")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const idx = line.indexOf(":");
+      if (idx > 0) {
+        headers[line.substring(0, idx).trim().toLowerCase()] = line
+          .substring(idx + 1)
+          .trim();
+      }
+    });
+  return { headers, body };
+}
+
+/**
+ * Decode a MIME body using its Content-Transfer-Encoding
+ *
+ * @param {string} body - encoded body
+ * @param {string} encoding - transfer encoding e.g. base64
+ *
+ * @returns {string} decoded body as a UTF-8 string
+ */
+function decodeMimeBody(body, encoding = "") {
+  switch (encoding.toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf-8");
+    case "quoted-printable": {
+      const bytes = [];
+      const text = body.replace(/=\r?\n/g, "");
+      for (let i = 0; i < text.length; i++) {
+        const hex = text.substring(i + 1, i + 3);
+        if (text[i] === "=" && /^[0-9A-F]{2}$/i.test(hex)) {
+          bytes.push(parseInt(hex, 16));
+          i += 2;
+        } else {
+          bytes.push(...Buffer.from(text[i], "utf-8"));
+        }
+      }
+      return Buffer.from(bytes).toString("utf-8");
+    }
+    default:
+      return body;
+  }
+}
+
+/**
+ * Extract the calendar parts from an email message. Multipart messages
+ * and attached messages are searched for text/calendar and
+ * application/ics parts.
+ *
+ * @param {string} raw - email message, as found in a .eml or maildir file
+ *
+ * @returns {Array} array of .ics strings
+ */
+export function extractCalendarParts(raw) {
+  const { headers, body } = splitMimeEntity(raw);
+  const contentType = headers["content-type"] || "text/plain";
+  const type = contentType.split(";")[0].trim().toLowerCase();
+
+  if (type.startsWith("multipart/")) {
+    const boundary = contentType.match(/boundary="?([^";]+)"?/i);
+    if (!boundary) {
+      return [];
+    }
+    const delimiter = `--${boundary[1]}`;
+    return body
+      .split(delimiter)
+      .slice(1)
+      .filter((part) => !part.startsWith("--"))
+      .flatMap((part) => extractCalendarParts(part.replace(/^\r?\n/, "")));
+  }
+  if (type === "message/rfc822") {
+    return extractCalendarParts(body);
+  }
+  if (type === "text/calendar" || type === "application/ics") {
+    const data = decodeMimeBody(
+      body,
+      headers["content-transfer-encoding"],
+    ).trim();
+    return data.includes("BEGIN:VCALENDAR") ? [data] : [];
+  }
+  return [];
+}
+
+/**
+ * Select the current version of each invitation from a list of calendars
+ * extracted from email. Events are matched on UID and RECURRENCE-ID and
+ * the one with the highest SEQUENCE, then latest DTSTAMP, wins. When the
+ * winner came from a METHOD:CANCEL calendar, a cancelled event is dropped
+ * and a cancelled instance of a recurring event is kept with a STATUS of
+ * CANCELLED. METHOD:REPLY calendars, which are attendee responses, are
+ * ignored.
+ *
+ * @param {Array} calendars - array of .ics strings
+ *
+ * @returns {string} .ics data with the current version of each event
+ */
+export function selectInvitations(calendars) {
+  const latest = new Map();
+  const timezones = new Map();
+
+  calendars.forEach((ics) => {
+    let cal;
+    try {
+      cal = new ICAL.Component(ICAL.parse(ics));
+    } catch (err) {
+      debug("selectInvitations", "Skipping invalid calendar", {
+        error: err.message,
+      });
+      return;
+    }
+    const method = (cal.getFirstPropertyValue("method") || "PUBLISH")
+      .toString()
+      .toUpperCase();
+    if (method === "REPLY") {
+      return;
+    }
+    cal.getAllSubcomponents("vtimezone").forEach((tz) => {
+      timezones.set(tz.getFirstPropertyValue("tzid"), tz);
+    });
+    cal.getAllSubcomponents("vevent").forEach((event) => {
+      const recurrenceId = event.getFirstPropertyValue("recurrence-id");
+      const key = `${event.getFirstPropertyValue("uid")}|${recurrenceId || ""}`;
+      const sequence = event.getFirstPropertyValue("sequence") || 0;
+      const dtstamp = event.getFirstPropertyValue("dtstamp");
+      const stamp = dtstamp ? dtstamp.toJSDate().getTime() : 0;
+      const current = latest.get(key);
+      if (
+        !current ||
+        sequence > current.sequence ||
+        (sequence === current.sequence && stamp >= current.stamp)
+      ) {
+        latest.set(key, { event, method, sequence, stamp, recurrenceId });
+      }
+    });
+  });
+
+  const result = new ICAL.Component(["vcalendar", [], []]);
+  result.addPropertyWithValue("version", "2.0");
+  result.addPropertyWithValue("prodid", "-//icsorg//Mail invitations//EN");
+  timezones.forEach((tz) => result.addSubcomponent(tz));
+  latest.forEach(({ event, method, recurrenceId }) => {
+    if (method === "CANCEL") {
+      if (!recurrenceId) {
+        return;
+      }
+      event.updatePropertyWithValue("status", "CANCELLED");
+    }
+    result.addSubcomponent(event);
+  });
+
+  debug("selectInvitations", `Selected ${latest.size} invitations`);
+  return result.toString();
+}
+
+/**
+ * @async
+ *
+ * Collect the message files under a path. A directory, such as a maildir
+ * folder, is searched recursively, skipping the maildir tmp directory.
+ * Every file found is returned; readMailSource skips those without a
+ * calendar part.
+ *
+ * @param {string} path - path to a directory, .eml file or mbox file
+ *
+ * @returns {Promise<Array>} array of file paths
+ */
+async function findMailFiles(path) {
+  const info = await stat(path);
+  if (!info.isDirectory()) {
+    return [path];
+  }
+  const files = [];
+  for (const entry of await readdir(path, { withFileTypes: true })) {
+    const child = join(path, entry.name);
+    if (entry.isDirectory() && entry.name !== "tmp") {
+      files.push(...(await findMailFiles(child)));
+    } else if (entry.isFile()) {
+      files.push(child);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * @async
+ *
+ * Read calendar invitations from email. Paths are separated by the
+ * platform path delimiter (':' on Linux) and can be maildir directories,
+ * .eml files or mbox files.
+ *
+ * @param {string} paths - list of mail paths
+ *
+ * @returns {Promise<string>} .ics data with the current version of each
+ *                            invitation. See selectInvitations
+ */
+async function readMailSource(paths) {
+  const calendars = [];
+  for (const path of paths.split(delimiter).filter((p) => p.length)) {
+    for (const file of await findMailFiles(path)) {
+      const text = await readFile(file, "utf-8");
+      if (!/text\/calendar|application\/ics/i.test(text)) {
+        continue;
+      }
+      const messages = text.startsWith("From ") ? splitMbox(text) : [text];
+      messages.forEach((m) => calendars.push(...extractCalendarParts(m)));
+    }
+  }
+  debug("readMailSource", `Found ${calendars.length} calendar parts`);
+  return selectInvitations(calendars);
+}
+
+/**
+ * @async
+ *
+ * Read all data from a readable stream, such as standard input
+ *
+ * @param {stream.Readable} stream - stream to read
+ *
+ * @returns {Promise<string>} the data read as a UTF-8 string
+ */
+export async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * @async
+ *
+ * Retrieve event data from ICS source. This could be either a local file
+ * or a URL which returns an .ics file (like Google). A source of '-' reads
+ * the data from standard input.
+ *
+ * @param {string} source - either path to a local file, a URL which will return an .ics file or - for standard input
+ * @param {Object} options - optional settings. Supports cacheDir, the path
+ *                           to a directory used to cache URL responses, and
+ *                           fallback, which when true uses the cached
+ *                           response if a URL cannot be fetched,
+ *                           headers, extra HTTP request headers, and type,
+ *                           which when 'caldav' treats source as a CalDAV
+ *                           collection queried for events between the
+ *                           start and end dates, or 'mail' which reads
+ *                           invitations from the mail paths in source. See
+ *                           readMailSource. The fetchWithRetry
+ *                           timeout, maxRedirects, retries and retryDelay
+ *                           options are also supported. The stdin option
+ *                           can supply the stream to read for a '-' source
+ *
+ * @returns {Promise<Object>} object with data, the .ics data as a string,
+ *                            changed, false when a cached URL response was
+ *                            reused or the body is the same as last time,
+ *                            stale, true when cached data was used because
+ *                            the fetch failed, refreshed, the ISO time
+ *                            the data was last fetched from a URL, and
+ *                            cache, the cache entry to store with
+ *                            commitCache
+ */
+export async function getIcsData(source, options = {}) {
+  debug("getIcsData", "Called with source", {
+    source: redactUrl(source),
+    cacheDir: options.cacheDir,
+    fallback: options.fallback,
+    type: options.type,
+  });
+
+  try {
+    let result;
+    if (source === "-") {
+      debug("getIcsData", "Reading from standard input");
+      const data = await readStream(options.stdin || process.stdin);
+      debug("getIcsData", `Read ${data.length} bytes from standard input`);
+      result = { data, changed: true, stale: false };
+    } else if (options.type === "mail") {
+      debug("getIcsData", "Reading invitations from mail");
+      const data = await readMailSource(source);
+      result = { data, changed: true, stale: false };
+    } else if (options.type === "caldav") {
+      result = await fetchCalDav(normaliseUrl(source), options);
+    } else if (isUrl(source)) {
+      result = await fetchIcsUrl(normaliseUrl(source), options);
     } else {
       debug("getIcsData", "Reading from file");
-      data = await readFile(source, "utf-8");
+      const data = await readFile(source, "utf-8");
       debug("getIcsData", `Read ${data.length} bytes from file`);
+      result = { data, changed: true, stale: false };
     }
 
     debug("getIcsData", "Successfully retrieved ICS data", {
-      dataLength: data.length,
-      preview: data.substring(0, 100),
+      dataLength: result.data.length,
+      changed: result.changed,
+      stale: result.stale,
+      preview: result.data.substring(0, 100),
     });
-    return data;
+    return result;
   } catch (err) {
     debug("getIcsData", "Error occurred", { error: err.message });
     throw new Error(`getIcsData: ${err.message}`);
@@ -0,0 +1,31 @@
+import ICAL from "ical.js";
+
+/**
+ * Build an ICS component inside a calendar, with a UID and DTSTAMP
+ *
+ * @param {string} type - component name, e.g. VEVENT or VTODO
+ * @param {Array} lines - content lines to add to the component
+ *
+ * @returns {ICAL.Component} the component
+ */
+export function makeComponent(type, lines) {
+  const name = type.toLowerCase();
+  return new ICAL.Component(
+    ICAL.parse(
+      [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `BEGIN:${type}`,
+        `UID:${name.slice(1)}-1@example.com`,
+        "DTSTAMP:20230801T100000Z",
+        ...lines,
+        `END:${type}`,
+        "END:VCALENDAR",
+      ].join("\r\n"),
+    ),
+  ).getFirstSubcomponent(name);
+}
+
+export const makeEvent = (lines) => makeComponent("VEVENT", lines);
+
+export const makeTodo = (lines) => makeComponent("VTODO", lines);
@@ -0,0 +1,144 @@
+import { expect } from "chai";
+import { getIcsData } from "../../src/lib.js";
+import { readFileSync } from "fs";
+import { createServer } from "http";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import IcalExpander from "ical-expander";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("getIcsData CalDAV (Integration)", () => {
+  const fixture = readFileSync(
+    join(__dirname, "..", "fixtures", "sample.ics"),
+    "utf-8",
+  );
+  // Split the fixture into one calendar object per event, as a CalDAV
+  // server would store them
+  const objects = fixture
+    .split(/\r?\nBEGIN:VEVENT\r?\n/)
+    .slice(1)
+    .map(
+      (e) =>
+        `BEGIN:VCALENDAR\nVERSION:2.0\nPRODID:-//Test//EN\nBEGIN:VEVENT\n${e.replace(/END:VCALENDAR\s*$/, "").trim()}\nEND:VCALENDAR`,
+    );
+  const todo = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Test//EN",
+    "BEGIN:VTODO",
+    "UID:test-todo-1@example.com",
+    "DTSTAMP:20230801T100000Z",
+    "SUMMARY:Write report",
+    "DUE:20230820T170000Z",
+    "END:VTODO",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  const escape = (s) =>
+    s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  let server;
+  let url;
+  let requests;
+
+  beforeEach(async () => {
+    requests = [];
+    server = createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ method: req.method, headers: req.headers, body });
+        if (req.method !== "REPORT") {
+          res.writeHead(405);
+          res.end();
+          return;
+        }
+        if (req.url.endsWith("missing")) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        // Only return objects matching the requested component type
+        const matching = body.includes("name='VTODO'") ? [todo] : objects;
+        res.writeHead(207, { "Content-Type": "application/xml" });
+        res.end(
+          `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">${matching
+            .map(
+              (o, i) =>
+                `<d:response><d:href>/cal/${i}.ics</d:href><d:propstat><d:prop><d:getetag>"${i}"</d:getetag><c:calendar-data>${escape(o)}</c:calendar-data></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`,
+            )
+            .join("")}</d:multistatus>`,
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/cal/`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should send a calendar-query REPORT for the date range", async () => {
+    await getIcsData(url, {
+      type: "caldav",
+      start: new Date("2023-08-01T00:00:00Z"),
+      end: new Date("2023-09-01T00:00:00Z"),
+      headers: { Authorization: "Bearer abc123" },
+    });
+
+    expect(requests[0].method).to.equal("REPORT");
+    expect(requests[0].headers.depth).to.equal("1");
+    expect(requests[0].headers.authorization).to.equal("Bearer abc123");
+    expect(requests[0].body).to.include(
+      "start='20230801T000000Z' end='20230901T000000Z'",
+    );
+  });
+
+  it("should merge returned calendar objects into one expandable calendar", async () => {
+    const { data } = await getIcsData(url, {
+      type: "caldav",
+      start: new Date("2023-08-01T00:00:00Z"),
+      end: new Date("2023-09-01T00:00:00Z"),
+    });
+
+    const expander = new IcalExpander({ ics: data });
+    const events = expander.between(
+      new Date("2023-08-01T00:00:00Z"),
+      new Date("2023-09-01T00:00:00Z"),
+    );
+    expect(events.events.map((e) => e.uid)).to.deep.equal([
+      "test-event-1@example.com",
+      "test-event-2@example.com",
+      "test-event-3@example.com",
+    ]);
+  });
+
+  it("should send a second REPORT for to-dos and include them", async () => {
+    const { data } = await getIcsData(url, {
+      type: "caldav",
+      start: new Date("2023-08-01T00:00:00Z"),
+      end: new Date("2023-09-01T00:00:00Z"),
+    });
+
+    expect(requests).to.have.lengthOf(2);
+    expect(requests[0].body).to.include("<C:comp-filter name='VEVENT'>");
+    expect(requests[1].body).to.include("<C:comp-filter name='VTODO'>");
+    expect(data).to.include("UID:test-todo-1@example.com");
+    expect(data.match(/BEGIN:VEVENT/g)).to.have.lengthOf(3);
+  });
+
+  it("should throw error with HTTP status for failed REPORT", async () => {
+    try {
+      await getIcsData(`${url}missing`, {
+        type: "caldav",
+        start: new Date("2023-08-01T00:00:00Z"),
+        end: new Date("2023-09-01T00:00:00Z"),
+      });
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("HTTP 404");
+    }
+  });
+});
@@ -1,6 +1,9 @@
 import { expect } from "chai";
-import { getIcsData } from "../../src/lib.js";
-import { readFileSync } from "fs";
+import { getIcsData, commitCache } from "../../src/lib.js";
+import { readFileSync, readdirSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { createServer } from "http";
+import { Readable } from "stream";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 
@@ -12,7 +15,7 @@ describe("getIcsData (Integration)", () => {
   let fixtureContents;
 
   before(async () => {
-    fixtureContents = await getIcsData(fixturePath);
+    ({ data: fixtureContents } = await getIcsData(fixturePath));
   });
 
   it("should read ICS data from local file", () => {
@@ -90,4 +93,312 @@ describe("getIcsData (Integration)", () => {
     expect(fixtureContents).to.include("ORGANIZER");
     expect(fixtureContents).to.include("STATUS");
   });
+
+  it("should report local file data as changed", async () => {
+    const result = await getIcsData(fixturePath);
+    expect(result.changed).to.equal(true);
+  });
+
+  it("should send extra request headers", async () => {
+    let received;
+    const server = createServer((req, res) => {
+      received = req.headers;
+      res.writeHead(200, { "Content-Type": "text/calendar" });
+      res.end(fixtureContents);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    try {
+      await getIcsData(`http://127.0.0.1:${port}/calendar.ics`, {
+        headers: { Authorization: "Bearer abc123" },
+      });
+      expect(received.authorization).to.equal("Bearer abc123");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("should not include the URL in fetch error messages", async () => {
+    try {
+      await getIcsData("http://127.0.0.1:1/private-token/calendar.ics");
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("getIcsData");
+      expect(err.message).to.not.include("private-token");
+    }
+  });
+
+  it("should read ICS data from standard input for a - source", async () => {
+    const stdin = Readable.from([
+      fixtureContents.substring(0, 100),
+      fixtureContents.substring(100),
+    ]);
+
+    const result = await getIcsData("-", { stdin });
+
+    expect(result.data).to.equal(fixtureContents);
+    expect(result.changed).to.equal(true);
+  });
+
+  describe("with retries, timeouts and redirects", () => {
+    let server;
+    let base;
+    let handler;
+    let requestCount;
+
+    beforeEach(async () => {
+      requestCount = 0;
+      server = createServer((req, res) => {
+        requestCount++;
+        handler(req, res);
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      base = `127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should fetch webcal:// URLs over http", async () => {
+      handler = (_req, res) => {
+        res.writeHead(200, { "Content-Type": "text/calendar" });
+        res.end(fixtureContents);
+      };
+
+      const { data } = await getIcsData(`webcal://${base}/calendar.ics`);
+
+      expect(data).to.equal(fixtureContents);
+    });
+
+    it("should retry 5xx responses and return the eventual response", async () => {
+      handler = (_req, res) => {
+        if (requestCount < 3) {
+          res.writeHead(503);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "text/calendar" });
+        res.end(fixtureContents);
+      };
+
+      const { data } = await getIcsData(`http://${base}/calendar.ics`, {
+        retries: 2,
+        retryDelay: 10,
+      });
+
+      expect(requestCount).to.equal(3);
+      expect(data).to.equal(fixtureContents);
+    });
+
+    it("should give up after the configured number of retries", async () => {
+      handler = (_req, res) => {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Internal Server Error");
+      };
+
+      try {
+        await getIcsData(`http://${base}/calendar.ics`, {
+          retries: 1,
+          retryDelay: 10,
+        });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(requestCount).to.equal(2);
+        expect(err.message).to.include("HTTP 500");
+      }
+    });
+
+    it("should not retry 4xx responses", async () => {
+      handler = (_req, res) => {
+        res.writeHead(404);
+        res.end();
+      };
+
+      try {
+        await getIcsData(`http://${base}/calendar.ics`, {
+          retries: 2,
+          retryDelay: 10,
+        });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(requestCount).to.equal(1);
+        expect(err.message).to.include("HTTP 404");
+      }
+    });
+
+    it("should time out when the server does not respond", async () => {
+      handler = () => {};
+
+      try {
+        await getIcsData(`http://${base}/calendar.ics`, { timeout: 100 });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(err.message).to.include("timed out after 100 ms");
+      }
+    });
+
+    it("should stop following redirects at maxRedirects", async () => {
+      handler = (req, res) => {
+        res.writeHead(302, { Location: `${req.url}x` });
+        res.end();
+      };
+
+      try {
+        await getIcsData(`http://${base}/calendar.ics`, {
+          maxRedirects: 3,
+          retries: 2,
+          retryDelay: 10,
+        });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(err.message).to.include("maximum redirect");
+        expect(requestCount).to.equal(4);
+      }
+    });
+  });
+
+  describe("with a cache directory", () => {
+    let server;
+    let url;
+    let cacheDir;
+    let requests;
+    let body;
+
+    beforeEach(async () => {
+      cacheDir = mkdtempSync(join(tmpdir(), "icsorg-cache-"));
+      requests = [];
+      body = fixtureContents;
+      server = createServer((req, res) => {
+        requests.push(req.headers);
+        if (body === null) {
+          res.writeHead(503, { "Content-Type": "text/plain" });
+          res.end("Service Unavailable");
+          return;
+        }
+        if (
+          req.headers["if-none-match"] === '"v1"' &&
+          body === fixtureContents
+        ) {
+          res.writeHead(304);
+          res.end();
+          return;
+        }
+        res.writeHead(200, {
+          "Content-Type": "text/calendar",
+          ETag: body === fixtureContents ? '"v1"' : '"v2"',
+          "Last-Modified": "Tue, 01 Aug 2023 10:00:00 GMT",
+        });
+        res.end(body);
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}/calendar.ics`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it("should store the response in the cache directory", async () => {
+      const result = await getIcsData(url, { cacheDir });
+
+      expect(result.data).to.equal(fixtureContents);
+      expect(result.changed).to.equal(true);
+      expect(readdirSync(cacheDir)).to.be.empty;
+      await commitCache(result);
+      const files = readdirSync(cacheDir);
+      expect(files.filter((f) => f.endsWith(".ics"))).to.have.lengthOf(1);
+      expect(files.filter((f) => f.endsWith(".json"))).to.have.lengthOf(1);
+      files.forEach((f) => expect(f).to.not.include("127.0.0.1"));
+    });
+
+    it("should send conditional headers and reuse cached body on 304", async () => {
+      await commitCache(await getIcsData(url, { cacheDir }));
+      const result = await getIcsData(url, { cacheDir });
+
+      expect(requests[1]["if-none-match"]).to.equal('"v1"');
+      expect(requests[1]["if-modified-since"]).to.equal(
+        "Tue, 01 Aug 2023 10:00:00 GMT",
+      );
+      expect(result.data).to.equal(fixtureContents);
+      expect(result.changed).to.equal(false);
+    });
+
+    it("should not use a response which was never committed", async () => {
+      await getIcsData(url, { cacheDir });
+      const result = await getIcsData(url, { cacheDir });
+
+      expect(requests[1]["if-none-match"]).to.equal(undefined);
+      expect(result.changed).to.equal(true);
+    });
+
+    it("should report changed when the body is different", async () => {
+      await commitCache(await getIcsData(url, { cacheDir }));
+      body = fixtureContents.replace("Test Meeting", "Moved Meeting");
+      const result = await getIcsData(url, { cacheDir });
+
+      expect(result.changed).to.equal(true);
+      expect(result.data).to.include("Moved Meeting");
+    });
+
+    it("should fall back to cached data when fetch fails", async () => {
+      const first = await getIcsData(url, { cacheDir, fallback: true });
+      await commitCache(first);
+      body = null;
+      const result = await getIcsData(url, { cacheDir, fallback: true });
+
+      expect(result.data).to.equal(fixtureContents);
+      expect(result.stale).to.equal(true);
+      expect(result.refreshed).to.equal(first.refreshed);
+      expect(result.error).to.include("HTTP 503");
+    });
+
+    it("should report changed on the first fetch after a fallback", async () => {
+      await commitCache(await getIcsData(url, { cacheDir, fallback: true }));
+      body = null;
+      await commitCache(await getIcsData(url, { cacheDir, fallback: true }));
+      body = fixtureContents;
+      const result = await getIcsData(url, { cacheDir, fallback: true });
+      await commitCache(result);
+      const next = await getIcsData(url, { cacheDir, fallback: true });
+
+      expect(requests[2]["if-none-match"]).to.equal('"v1"');
+      expect(result.changed).to.equal(true);
+      expect(result.stale).to.equal(false);
+      expect(next.changed).to.equal(false);
+    });
+
+    it("should throw on fetch failure when fallback is not enabled", async () => {
+      await commitCache(await getIcsData(url, { cacheDir }));
+      body = null;
+      try {
+        await getIcsData(url, { cacheDir });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(err.message).to.include("HTTP 503");
+      }
+    });
+
+    it("should throw on fetch failure when nothing is cached", async () => {
+      body = null;
+      try {
+        await getIcsData(url, { cacheDir, fallback: true });
+        expect.fail("Should have thrown an error");
+      } catch (err) {
+        expect(err.message).to.include("HTTP 503");
+      }
+    });
+
+    it("should fall back to cached data on network errors", async () => {
+      await commitCache(await getIcsData(url, { cacheDir, fallback: true }));
+      await new Promise((resolve) => server.close(resolve));
+      const result = await getIcsData(url, { cacheDir, fallback: true });
+
+      expect(result.data).to.equal(fixtureContents);
+      expect(result.stale).to.equal(true);
+    });
+  });
 });
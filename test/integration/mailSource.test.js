@@ -0,0 +1,67 @@
+import { expect } from "chai";
+import { getIcsData } from "../../src/lib.js";
+import { fileURLToPath } from "url";
+import { dirname, join, delimiter } from "path";
+import IcalExpander from "ical-expander";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+describe("getIcsData mail source (Integration)", () => {
+  const maildir = join(__dirname, "..", "fixtures", "maildir");
+  const mbox = join(__dirname, "..", "fixtures", "invitations.mbox");
+
+  const expand = (data) =>
+    new IcalExpander({ ics: data }).between(
+      new Date("2023-08-01T00:00:00Z"),
+      new Date("2023-09-01T00:00:00Z"),
+    ).events;
+
+  it("should read the latest invitation from a maildir folder", async () => {
+    const { data } = await getIcsData(maildir, { type: "mail" });
+    const events = expand(data);
+
+    expect(events).to.have.lengthOf(1);
+    expect(events[0].uid).to.equal("mail-event-1@example.com");
+    expect(events[0].summary).to.equal("Project Kickoff – moved");
+    expect(events[0].startDate.toJSDate().toISOString()).to.equal(
+      "2023-08-16T09:00:00.000Z",
+    );
+  });
+
+  it("should not read messages from the maildir tmp folder", async () => {
+    const { data } = await getIcsData(maildir, { type: "mail" });
+
+    expect(data).to.not.include("Partial delivery");
+  });
+
+  it("should read invitations from an mbox file and honour CANCEL", async () => {
+    const { data } = await getIcsData(mbox, { type: "mail" });
+    const events = expand(data);
+
+    expect(events.map((e) => e.uid)).to.deep.equal([
+      "mail-event-3@example.com",
+    ]);
+  });
+
+  it("should combine several mail paths", async () => {
+    const { data } = await getIcsData(`${maildir}${delimiter}${mbox}`, {
+      type: "mail",
+    });
+    const events = expand(data);
+
+    expect(events.map((e) => e.uid).sort()).to.deep.equal([
+      "mail-event-1@example.com",
+      "mail-event-3@example.com",
+    ]);
+  });
+
+  it("should throw error for a missing mail path", async () => {
+    try {
+      await getIcsData(join(maildir, "missing"), { type: "mail" });
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("getIcsData");
+    }
+  });
+});
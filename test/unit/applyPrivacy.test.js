@@ -0,0 +1,134 @@
+import { expect } from "chai";
+import { applyPrivacy, applySource } from "../../src/lib.js";
+
+function makeEvent(overrides = {}) {
+  return {
+    type: "event",
+    uid: "abc-123",
+    summary: "Salary review",
+    description: "Discuss pay rise",
+    location: "Room 4",
+    attendees: [{ name: "Fred", email: "fred@example.com" }],
+    organizer: "mailto:boss@example.com",
+    categories: ["HR"],
+    meeting: {
+      url: "https://zoom.us/j/1",
+      phone: "",
+      meetingId: "",
+      passcode: "",
+    },
+    alarms: [{ minutes: 15, related: "start", time: null }],
+    class: "PUBLIC",
+    status: "CONFIRMED",
+    tags: ["accepted"],
+    startDate: new Date("2026-03-02T10:00:00Z"),
+    endDate: new Date("2026-03-02T11:00:00Z"),
+    ...overrides,
+  };
+}
+
+describe("applyPrivacy", () => {
+  it("should return events unchanged when mode is off", () => {
+    const events = [makeEvent()];
+
+    expect(applyPrivacy(events, "off", [])).to.equal(events);
+    expect(applyPrivacy(events, undefined)).to.equal(events);
+  });
+
+  it("should redact all details but keep times in busy mode", () => {
+    const [e] = applyPrivacy([makeEvent()], "busy", []);
+
+    expect(e.summary).to.equal("Busy");
+    expect(e.description).to.equal("");
+    expect(e.location).to.equal("");
+    expect(e.attendees).to.deep.equal([]);
+    expect(e.organizer).to.equal("");
+    expect(e.categories).to.deep.equal([]);
+    expect(e.meeting.url).to.equal("");
+    expect(e.alarms).to.deep.equal([]);
+    expect(e.uid).to.equal("abc-123");
+    expect(e.status).to.equal("CONFIRMED");
+    expect(e.tags).to.deep.equal(["accepted"]);
+    expect(e.startDate).to.deep.equal(new Date("2026-03-02T10:00:00Z"));
+    expect(e.endDate).to.deep.equal(new Date("2026-03-02T11:00:00Z"));
+  });
+
+  it("should keep fields named in the keep list", () => {
+    const [e] = applyPrivacy([makeEvent()], "busy", ["location", "alarms"]);
+
+    expect(e.summary).to.equal("Busy");
+    expect(e.location).to.equal("Room 4");
+    expect(e.alarms).to.have.lengthOf(1);
+  });
+
+  it("should only redact private and confidential events in private mode", () => {
+    const events = applyPrivacy(
+      [
+        makeEvent(),
+        makeEvent({ class: "PRIVATE" }),
+        makeEvent({ class: "confidential" }),
+      ],
+      "private",
+      [],
+    );
+
+    expect(events.map((e) => e.summary)).to.deep.equal([
+      "Salary review",
+      "Busy",
+      "Busy",
+    ]);
+  });
+
+  it("should ignore the keep list for private events", () => {
+    const [pub, priv] = applyPrivacy(
+      [makeEvent(), makeEvent({ class: "PRIVATE" })],
+      "busy",
+      ["summary", "location"],
+    );
+
+    expect(pub.summary).to.equal("Salary review");
+    expect(pub.location).to.equal("Room 4");
+    expect(priv.summary).to.equal("Busy");
+    expect(priv.location).to.equal("");
+  });
+
+  it("should redact children of series masters", () => {
+    const [master] = applyPrivacy(
+      [makeEvent({ children: [makeEvent({ class: "PRIVATE" })] })],
+      "private",
+      [],
+    );
+
+    expect(master.summary).to.equal("Salary review");
+    expect(master.children[0].summary).to.equal("Busy");
+  });
+
+  it("should not modify the original events", () => {
+    const event = makeEvent();
+
+    applyPrivacy([event], "busy", []);
+
+    expect(event.summary).to.equal("Salary review");
+  });
+
+  it("should redact the entries kept by source include patterns", () => {
+    const source = {
+      name: "work",
+      tags: [],
+      category: "",
+      include: "standup",
+      exclude: "",
+      privacy: "busy",
+    };
+    const events = [
+      makeEvent({ uid: "1", summary: "Daily standup" }),
+      makeEvent({ uid: "2", summary: "Lunch" }),
+    ];
+
+    // Sources are applied first, as in processSource
+    const result = applyPrivacy(applySource(events, source), source.privacy);
+
+    expect(result.map((e) => e.uid)).to.deep.equal(["1"]);
+    expect(result[0].summary).to.equal("Busy");
+  });
+});
@@ -0,0 +1,78 @@
+import { expect } from "chai";
+import { applySource } from "../../src/lib.js";
+
+describe("applySource", () => {
+  const makeSource = (overrides = {}) => ({
+    name: "work",
+    icsFile: "work.ics",
+    tags: ["work"],
+    category: "WORK",
+    include: "",
+    exclude: "",
+    ...overrides,
+  });
+
+  const events = [
+    { summary: "Team Standup", uid: "1" },
+    { summary: "Busy", uid: "2" },
+    { summary: "Planning Meeting", uid: "3" },
+  ];
+
+  it("should tag each event with source name, tags and category", () => {
+    const result = applySource(events, makeSource());
+
+    expect(result).to.have.lengthOf(3);
+    result.forEach((e) => {
+      expect(e.source).to.equal("work");
+      expect(e.tags).to.deep.equal(["work"]);
+      expect(e.category).to.equal("WORK");
+    });
+  });
+
+  it("should not modify the original event objects", () => {
+    applySource(events, makeSource());
+
+    expect(events[0]).to.not.have.property("source");
+  });
+
+  it("should keep only events matching include pattern", () => {
+    const result = applySource(events, makeSource({ include: "meeting" }));
+
+    expect(result.map((e) => e.uid)).to.deep.equal(["3"]);
+  });
+
+  it("should drop events matching exclude pattern", () => {
+    const result = applySource(events, makeSource({ exclude: "^busy$" }));
+
+    expect(result.map((e) => e.uid)).to.deep.equal(["1", "3"]);
+  });
+
+  it("should append source tags to existing event tags", () => {
+    const result = applySource(
+      [{ summary: "Tagged", uid: "4", tags: ["private"] }],
+      makeSource(),
+    );
+
+    expect(result[0].tags).to.deep.equal(["private", "work"]);
+  });
+
+  it("should give series children the source name and category", () => {
+    const series = [
+      {
+        summary: "Team Standup",
+        uid: "1",
+        children: [{ summary: "Team Standup (moved)", uid: "1" }],
+      },
+    ];
+    const result = applySource(series, makeSource());
+
+    expect(result[0].children).to.deep.equal([
+      {
+        summary: "Team Standup (moved)",
+        uid: "1",
+        source: "work",
+        category: "WORK",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,52 @@
+import { expect } from "chai";
+import { buildRequestHeaders } from "../../src/lib.js";
+
+describe("buildRequestHeaders", () => {
+  const makeSource = (overrides = {}) => ({
+    name: "work",
+    username: "",
+    password: "",
+    token: "",
+    headers: "",
+    ...overrides,
+  });
+
+  it("should return no headers when no authentication is configured", async () => {
+    expect(await buildRequestHeaders(makeSource())).to.deep.equal({});
+  });
+
+  it("should add basic Authorization header for username and password", async () => {
+    const headers = await buildRequestHeaders(
+      makeSource({ username: "fred", password: "hunter2" }),
+    );
+
+    expect(headers.Authorization).to.equal(
+      `Basic ${Buffer.from("fred:hunter2").toString("base64")}`,
+    );
+  });
+
+  it("should add bearer Authorization header for token", async () => {
+    const headers = await buildRequestHeaders(makeSource({ token: "abc123" }));
+
+    expect(headers.Authorization).to.equal("Bearer abc123");
+  });
+
+  it("should resolve secret references", async () => {
+    const headers = await buildRequestHeaders(
+      makeSource({ token: "cmd:echo from-cmd" }),
+    );
+
+    expect(headers.Authorization).to.equal("Bearer from-cmd");
+  });
+
+  it("should add extra headers", async () => {
+    const headers = await buildRequestHeaders(
+      makeSource({ headers: "X-Api-Key: abc; Accept: text/calendar" }),
+    );
+
+    expect(headers).to.deep.equal({
+      "X-Api-Key": "abc",
+      Accept: "text/calendar",
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { expect } from "chai";
+import {
+  buildCalendarQuery,
+  parseCalendarData,
+  mergeCalendars,
+} from "../../src/lib.js";
+
+const event = (uid, tz = "") =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Test//EN",
+    ...(tz
+      ? [
+          "BEGIN:VTIMEZONE",
+          `TZID:${tz}`,
+          "BEGIN:STANDARD",
+          "DTSTART:19700101T000000",
+          "TZOFFSETFROM:+1000",
+          "TZOFFSETTO:+1000",
+          "END:STANDARD",
+          "END:VTIMEZONE",
+        ]
+      : []),
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    "DTSTART:20230815T140000Z",
+    "SUMMARY:Test & <Event>",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+describe("buildCalendarQuery", () => {
+  it("should include a VEVENT time-range filter in UTC", () => {
+    const xml = buildCalendarQuery(
+      new Date("2023-08-01T00:00:00Z"),
+      new Date("2023-09-01T12:30:00Z"),
+    );
+
+    expect(xml).to.include("<C:calendar-query");
+    expect(xml).to.include("<C:comp-filter name='VEVENT'>");
+    expect(xml).to.include(
+      "<C:time-range start='20230801T000000Z' end='20230901T123000Z'/>",
+    );
+  });
+
+  it("should filter on the given component type", () => {
+    const xml = buildCalendarQuery(
+      new Date("2023-08-01T00:00:00Z"),
+      new Date("2023-09-01T00:00:00Z"),
+      "VTODO",
+    );
+
+    expect(xml).to.include("<C:comp-filter name='VTODO'>");
+    expect(xml).to.not.include("VEVENT");
+  });
+});
+
+describe("parseCalendarData", () => {
+  it("should extract and unescape calendar-data values", () => {
+    const ics = event("uid-1@example.com");
+    const escaped = ics
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/\r/g, "&#13;");
+    const xml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+  <d:response>
+    <d:href>/cal/1.ics</d:href>
+    <d:propstat><d:prop>
+      <cal:calendar-data>${escaped}</cal:calendar-data>
+    </d:prop></d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+    expect(parseCalendarData(xml)).to.deep.equal([ics]);
+  });
+
+  it("should handle CDATA sections and default namespaces", () => {
+    const ics = event("uid-2@example.com");
+    const xml = `<multistatus xmlns="DAV:"><response><propstat><prop>
+<calendar-data xmlns="urn:ietf:params:xml:ns:caldav"><![CDATA[${ics}]]></calendar-data>
+</prop></propstat></response></multistatus>`;
+
+    expect(parseCalendarData(xml)).to.deep.equal([ics]);
+  });
+
+  it("should return an empty array when there is no calendar data", () => {
+    expect(parseCalendarData("<d:multistatus xmlns:d='DAV:'/>")).to.deep.equal(
+      [],
+    );
+  });
+});
+
+describe("mergeCalendars", () => {
+  it("should merge components into a single VCALENDAR", () => {
+    const merged = mergeCalendars([event("uid-1"), event("uid-2")]);
+
+    expect(merged.match(/BEGIN:VCALENDAR/g)).to.have.lengthOf(1);
+    expect(merged.match(/BEGIN:VEVENT/g)).to.have.lengthOf(2);
+    expect(merged).to.include("UID:uid-1");
+    expect(merged).to.include("UID:uid-2");
+    expect(merged).to.not.include("PRODID:-//Test//EN");
+  });
+
+  it("should only include each time zone once", () => {
+    const merged = mergeCalendars([
+      event("uid-1", "Australia/Brisbane"),
+      event("uid-2", "Australia/Brisbane"),
+    ]);
+
+    expect(merged.match(/BEGIN:VTIMEZONE/g)).to.have.lengthOf(1);
+    expect(merged.match(/BEGIN:STANDARD/g)).to.have.lengthOf(1);
+  });
+
+  it("should produce an empty calendar from no calendars", () => {
+    const merged = mergeCalendars([]);
+
+    expect(merged).to.include("BEGIN:VCALENDAR");
+    expect(merged).to.not.include("BEGIN:VEVENT");
+  });
+});
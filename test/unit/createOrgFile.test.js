@@ -1,6 +1,7 @@
 import { expect } from "chai";
+import { Settings } from "luxon";
 import { createOrgFile } from "../../src/lib.js";
-import { readFileSync, rmSync, mkdtempSync } from "fs";
+import { readFileSync, writeFileSync, rmSync, mkdtempSync } from "fs";
 import { join } from "path";
 import { tmpdir } from "os";
 
@@ -91,4 +92,405 @@ describe("createOrgFile", () => {
     expect(contents).to.include("* Event One");
     expect(contents).to.include("* Event Two");
   });
+
+  it("should write source, category and tags for each event", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const events = [
+      {
+        ...makeEvent(),
+        source: "work",
+        category: "WORK",
+        tags: ["work", "meeting"],
+      },
+    ];
+    await createOrgFile(makeConfig(orgFile), events);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include("* Test Event :work:meeting:\n");
+    expect(contents).to.include(":SOURCE:        work\n");
+    expect(contents).to.include(":CATEGORY:      WORK\n");
+  });
+
+  it("should write a stale marker for each stale source", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    await createOrgFile(
+      makeConfig(orgFile),
+      [],
+      [{ name: "work", refreshed: "2024-01-15T10:00:00Z" }],
+    );
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.match(
+      /#\+STALE: {7}work last refreshed \[2024-01-1\d \w{3} \d{2}:\d{2}\]\n/,
+    );
+  });
+
+  it("should not write a stale marker by default", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    await createOrgFile(makeConfig(orgFile), []);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.not.include("#+STALE:");
+  });
+
+  it("should write to standard output when ORG_FILE is -", async () => {
+    const written = [];
+    const originalWrite = process.stdout.write;
+    process.stdout.write = (chunk, ...args) => {
+      written.push(chunk.toString());
+      const cb = args.find((a) => typeof a === "function");
+      if (cb) cb();
+      return true;
+    };
+    try {
+      await createOrgFile(makeConfig("-"), [makeEvent()]);
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+
+    const contents = written.join("");
+    expect(contents).to.include("#+TITLE:       Test Calendar");
+    expect(contents).to.include("* Test Event");
+  });
+
+  it("should write to-dos as TODO and DONE headlines", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const todo = {
+      type: "todo",
+      uid: "todo-1@example.com",
+      summary: "Write report",
+      description: "Quarterly numbers",
+      status: "NEEDS-ACTION",
+      priority: 1,
+      percentComplete: 40,
+      start: new Date(2024, 0, 10, 9, 0),
+      due: new Date(2024, 0, 20, 17, 0),
+      completed: null,
+      modified: null,
+      attendees: [],
+    };
+    const done = {
+      ...todo,
+      uid: "todo-2@example.com",
+      summary: "Send invoice",
+      status: "COMPLETED",
+      priority: 0,
+      percentComplete: null,
+      start: null,
+      due: null,
+      completed: new Date(2024, 0, 12, 12, 0),
+      description: "",
+    };
+    await createOrgFile(makeConfig(orgFile), [todo, done]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(
+      "* TODO [#A] Write report\nSCHEDULED: <2024-01-10 Wed 09:00> DEADLINE: <2024-01-20 Sat 17:00>\n:PROPERTIES:\n:ICAL_TODO:     t\n:ID:            todo-1@example.com\n",
+    );
+    expect(contents).to.include(":STATUS:        NEEDS-ACTION\n");
+    expect(contents).to.include(":PERCENT_COMPLETE: 40\n");
+    expect(contents).to.include("\nQuarterly numbers\n");
+    expect(contents).to.include(
+      "* DONE Send invoice\n:PROPERTIES:\n:ICAL_TODO:     t\n:ID:            todo-2@example.com\n",
+    );
+    expect(contents).to.include(":COMPLETED:     [2024-01-12 Fri 12:00]\n");
+  });
+
+  it("should write date only timestamps for all day events", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      startDate: new Date(2021, 7, 6),
+      endDate: new Date(2021, 7, 9),
+      allDay: true,
+    };
+    await createOrgFile(makeConfig(orgFile), [event]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(":END:\n<2021-08-06 Fri>--<2021-08-08 Sun>\n");
+  });
+
+  it("should write the original zone when it differs from the output zone", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      originalZone: "Europe/Berlin",
+      originalStart: "2024-01-15T11:00:00",
+    };
+    await createOrgFile(makeConfig(orgFile), [event, makeEvent()]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(
+      ":ORIGINAL_TZ:   Europe/Berlin\n:ORIGINAL_TIME: [2024-01-15 Mon 11:00]\n",
+    );
+    expect(contents.match(/:ORIGINAL_TZ:/g)).to.have.length(1);
+  });
+
+  it("should write the original time whatever zone the process runs in", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      originalZone: "Europe/London",
+      originalStart: "2026-03-08T02:30:00",
+    };
+    // 02:30 on 8 March 2026 falls in the New York daylight saving gap
+    const zone = Settings.defaultZone;
+    Settings.defaultZone = "America/New_York";
+    try {
+      await createOrgFile(makeConfig(orgFile), [event]);
+    } finally {
+      Settings.defaultZone = zone;
+    }
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(":ORIGINAL_TIME: [2026-03-08 Sun 02:30]\n");
+  });
+
+  it("should write a series with a repeater and exceptions as children", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const series = {
+      ...makeEvent(),
+      summary: "Standup",
+      startDate: new Date(2024, 0, 15, 9, 30),
+      endDate: new Date(2024, 0, 15, 9, 45),
+      repeater: "+1w",
+      children: [
+        {
+          ...makeEvent(),
+          summary: "Standup (moved)",
+          startDate: new Date(2024, 0, 23, 10, 0),
+          endDate: new Date(2024, 0, 23, 10, 15),
+        },
+      ],
+    };
+    await createOrgFile(makeConfig(orgFile), [series]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include("* Standup\n");
+    expect(contents).to.include("<2024-01-15 Mon 09:30-09:45 +1w>\n");
+    expect(contents).to.include("** Standup (moved)\n");
+    expect(contents).to.include("<2024-01-23 Tue 10:00-10:15>\n");
+    expect(contents.indexOf("** Standup (moved)")).to.be.above(
+      contents.indexOf("+1w>"),
+    );
+  });
+
+  it("should write cancelled occurrences with series and recurrence ids", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      summary: "Standup",
+      status: "CANCELLED",
+      seriesId: "test-uid-1@example.com",
+      recurrenceId: new Date(2024, 0, 15, 9, 30),
+    };
+    await createOrgFile(makeConfig(orgFile), [event]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include("#+TODO:        TODO | DONE CANCELLED\n");
+    expect(contents).to.include("* CANCELLED Standup\n");
+    expect(contents).to.include(
+      ":ID:            test-uid-1@example.com\n:SERIES_ID:     test-uid-1@example.com\n:RECURRENCE_ID: [2024-01-15 Mon 09:30]\n",
+    );
+  });
+
+  it("should write APPT_WARNTIME and optional alarm timestamps", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      startDate: new Date(2024, 0, 15, 10, 0),
+      endDate: new Date(2024, 0, 15, 11, 0),
+      alarms: [
+        { minutes: 10, related: "START", time: null },
+        { minutes: null, related: "START", time: new Date(2024, 0, 15, 9, 30) },
+      ],
+    };
+
+    await createOrgFile(makeConfig(orgFile), [event]);
+    let contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(":APPT_WARNTIME: 30\n");
+    expect(contents).to.not.include(":ALARM:");
+
+    await createOrgFile({ ...makeConfig(orgFile), ALARM_TIMESTAMPS: true }, [
+      event,
+    ]);
+    contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(
+      ":APPT_WARNTIME: 30\n:ALARM:         [2024-01-15 Mon 09:30]\n",
+    );
+  });
+
+  it("should write my attendee status", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      myStatus: "NEEDS-ACTION",
+      tags: ["needs_action"],
+    };
+    await createOrgFile(makeConfig(orgFile), [event]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include("* Test Event :needs_action:\n");
+    expect(contents).to.include(
+      ":STATUS:        CONFIRMED\n:MY_STATUS:     NEEDS-ACTION\n",
+    );
+  });
+
+  it("should write attendees as a list after the timestamp", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      description: "Agenda",
+      attendees: [
+        {
+          cn: "Fred",
+          email: "fred@example.com",
+          role: "REQ-PARTICIPANT",
+          status: "ACCEPTED",
+        },
+      ],
+    };
+
+    await createOrgFile(makeConfig(orgFile), [event]);
+    let contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(":ATTENDEES:    Fred (ACCEPTED)\n");
+
+    await createOrgFile({ ...makeConfig(orgFile), ATTENDEES: "list" }, [event]);
+    contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.not.include(":ATTENDEES:");
+    expect(contents).to.match(
+      />\n- Required\n {2}- \[\[mailto:fred@example.com\]\[Fred\]\] \(ACCEPTED\)\n\nAgenda\n/,
+    );
+  });
+
+  it("should write the meeting link and optional dial-in details", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      meeting: {
+        url: "https://zoom.us/j/81234567890",
+        phone: "+1 646 558 8656",
+        meetingId: "812 345 6789",
+        passcode: "424242",
+      },
+    };
+
+    await createOrgFile(makeConfig(orgFile), [event]);
+    let contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(
+      ":MEETING_URL:   [[https://zoom.us/j/81234567890]]\n",
+    );
+    expect(contents).to.not.include(":MEETING_PHONE:");
+
+    await createOrgFile({ ...makeConfig(orgFile), MEETING_DETAILS: true }, [
+      event,
+    ]);
+    contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(
+      ":MEETING_PHONE: +1 646 558 8656\n:MEETING_ID:    812 345 6789\n:MEETING_PASSCODE: 424242\n",
+    );
+  });
+
+  it("should convert HTML descriptions and protect the outline", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const event = {
+      ...makeEvent(),
+      summary: "Review :team:",
+      description: "<p>Notes</p><p>* Not a headline</p>",
+    };
+    await createOrgFile(makeConfig(orgFile), [event]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include("* Review =:team:=\n");
+    expect(contents).to.include("\nNotes\n\n,* Not a headline\n");
+  });
+
+  it("should use header, event and todo templates when given", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const templates = {
+      header: "#+TITLE: {{TITLE}}\n#+STARTUP: {{STARTUP}}\n\n",
+      event: "{{stars}} {{makeTimestampRange startDate endDate}} {{summary}}\n",
+      todo: "* {{keyword}}{{summary}}\n",
+    };
+    await createOrgFile(
+      makeConfig(orgFile),
+      [
+        makeEvent(),
+        { type: "todo", summary: "Buy milk", status: "NEEDS-ACTION" },
+      ],
+      [{ name: "work", refreshed: "2024-01-14T09:00:00Z" }],
+      templates,
+    );
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.match(
+      /^#\+TITLE: Test Calendar\n#\+STARTUP: overview\n\n#\+STALE: {7}work last refreshed \[2024-01-1[45] .*\]\n\* <2024-01-15 .*> Test Event\n\* TODO Buy milk\n$/,
+    );
+    expect(contents).to.not.include(":PROPERTIES:");
+  });
+
+  it("should reject without writing when a template fails", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    try {
+      await createOrgFile(makeConfig(orgFile), [makeEvent()], [], {
+        event: "* {{nosuchHelper summary}}\n",
+      });
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("createOrgFile: renderTemplate");
+    }
+    expect(() => readFileSync(orgFile)).to.throw(/ENOENT/);
+  });
+
+  it("should write entries under datetree headings", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const todo = {
+      type: "todo",
+      summary: "Someday",
+      uid: "t1",
+      status: "NEEDS-ACTION",
+      percentComplete: null,
+    };
+    await createOrgFile({ ...makeConfig(orgFile), LAYOUT: "datetree" }, [
+      todo,
+      makeEvent(),
+    ]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.match(
+      /\n\* 2024\n\*\* 2024-01 January\n\*\*\* 2024-01-1[56] \w+day\n\*\*\*\* Test Event\n/,
+    );
+    expect(contents).to.include("\n* Undated\n** TODO Someday\n");
+  });
+
+  it("should merge into an existing org file when MERGE is set", async () => {
+    const orgFile = join(tmpDir, "test.org");
+    const config = { ...makeConfig(orgFile), MERGE: true, REMOVED: "archive" };
+    const gone = { ...makeEvent(), uid: "gone", summary: "Gone" };
+    await createOrgFile(config, [makeEvent(), gone]);
+
+    const contents = readFileSync(orgFile, "utf-8");
+    expect(contents).to.include(":ICAL:\n<2024-01-15");
+    writeFileSync(
+      orgFile,
+      contents.replace("* Test Event", "* Test Event\nMy notes"),
+    );
+    await createOrgFile(config, [{ ...makeEvent(), summary: "Renamed" }]);
+
+    const merged = readFileSync(orgFile, "utf-8");
+    expect(merged).to.include("* Renamed\n");
+    expect(merged).to.not.include("* Gone");
+    expect(readFileSync(`${orgFile}_archive`, "utf-8")).to.include("* Gone\n");
+  });
+
+  it("should resolve to false when the file is unchanged", async () => {
+    const orgFile = join(tmpDir, "test.org");
+
+    expect(await createOrgFile(makeConfig(orgFile), [makeEvent()])).to.equal(
+      true,
+    );
+    expect(await createOrgFile(makeConfig(orgFile), [makeEvent()])).to.equal(
+      false,
+    );
+  });
 });
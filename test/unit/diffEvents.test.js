@@ -0,0 +1,386 @@
+import { expect } from "chai";
+import {
+  mkdtempSync,
+  rmSync,
+  readFileSync,
+  writeFileSync,
+  utimesSync,
+} from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  snapshotEvents,
+  readOrgSnapshot,
+  diffEvents,
+  formatReport,
+  loadSnapshot,
+  saveSnapshot,
+  setTimezone,
+} from "../../src/lib.js";
+
+describe("snapshotEvents", () => {
+  before(() => setTimezone("UTC"));
+  after(() => setTimezone("system"));
+
+  it("should record events and their children, leaving out to-dos", () => {
+    const records = snapshotEvents([
+      {
+        uid: "e1",
+        summary: "Planning\n  review",
+        location: "Room 1",
+        startDate: new Date("2026-10-20T09:00:00Z"),
+        endDate: new Date("2026-10-20T10:00:00Z"),
+        children: [
+          {
+            uid: "e1",
+            summary: "Planning",
+            recurrenceId: new Date("2026-10-27T09:00:00Z"),
+            startDate: new Date("2026-10-28T09:00:00Z"),
+            endDate: new Date("2026-10-28T10:00:00Z"),
+            status: "CANCELLED",
+          },
+        ],
+      },
+      { type: "todo", uid: "t1", summary: "Task" },
+    ]);
+
+    expect(records).to.deep.equal([
+      {
+        uid: "e1",
+        recurrenceId: "",
+        start: "2026-10-20 09:00",
+        end: "2026-10-20 10:00",
+        summary: "Planning review",
+        location: "Room 1",
+        status: "",
+      },
+      {
+        uid: "e1",
+        recurrenceId: "2026-10-27 09:00",
+        start: "2026-10-28 09:00",
+        end: "2026-10-28 10:00",
+        summary: "Planning",
+        location: "",
+        status: "CANCELLED",
+      },
+    ]);
+  });
+
+  it("should record all day events by date", () => {
+    const [record] = snapshotEvents([
+      {
+        uid: "d1",
+        summary: "Holiday",
+        allDay: true,
+        startDate: new Date("2026-10-25T00:00:00Z"),
+        endDate: new Date("2026-10-27T00:00:00Z"),
+      },
+    ]);
+
+    expect(record.start).to.equal("2026-10-25");
+    expect(record.end).to.equal("2026-10-26");
+  });
+});
+
+describe("readOrgSnapshot", () => {
+  it("should read generated events from an org file", () => {
+    const text = [
+      "#+TITLE: Calendar",
+      "#+TODO: TODO | DONE CANCELLED",
+      "",
+      "* CANCELLED Daily :work:",
+      ":PROPERTIES:",
+      ":ICAL_EVENT:    t",
+      ":ID:            r1",
+      ":RECURRENCE_ID: [2026-10-20 Tue 07:00]",
+      ":LOCATION:      Room 9",
+      ":STATUS:        CANCELLED",
+      ":END:",
+      "<2026-10-20 Tue 08:00-08:15>",
+      "* Holiday",
+      ":PROPERTIES:",
+      ":ICAL_EVENT:    t",
+      ":ID:            d1",
+      ":END:",
+      "<2026-10-25 Sun>--<2026-10-26 Mon>",
+      "* Task",
+      ":PROPERTIES:",
+      ":ICAL_TODO:     t",
+      ":ID:            t1",
+      ":END:",
+      "* My notes",
+      "<2026-10-21 Wed>",
+      "",
+    ].join("\n");
+
+    expect(readOrgSnapshot(text)).to.deep.equal([
+      {
+        uid: "r1",
+        recurrenceId: "2026-10-20 07:00",
+        start: "2026-10-20 08:00",
+        end: "2026-10-20 08:15",
+        summary: "Daily",
+        location: "Room 9",
+        status: "CANCELLED",
+      },
+      {
+        uid: "d1",
+        recurrenceId: "",
+        start: "2026-10-25",
+        end: "2026-10-26",
+        summary: "Holiday",
+        location: "",
+        status: "",
+      },
+    ]);
+  });
+});
+
+describe("diffEvents", () => {
+  const record = (uid, start, extra = {}) => ({
+    uid,
+    recurrenceId: "",
+    start,
+    end: start,
+    summary: uid,
+    location: "",
+    status: "",
+    ...extra,
+  });
+
+  it("should report added, removed, rescheduled and modified events", () => {
+    const before = [
+      record("a", "2026-10-20 09:00"),
+      record("b", "2026-10-21 09:00"),
+      record("c", "2026-10-22 09:00"),
+      record("d", "2026-10-23 09:00"),
+    ];
+    const after = [
+      record("a", "2026-10-20 11:00", { summary: "a2" }),
+      record("c", "2026-10-22 09:00", { location: "Room 1" }),
+      record("d", "2026-10-23 09:00"),
+      record("e", "2026-10-19 09:00"),
+    ];
+
+    const report = diffEvents(before, after);
+
+    expect(report.added.map((r) => r.uid)).to.deep.equal(["e"]);
+    expect(report.removed.map((r) => r.uid)).to.deep.equal(["b"]);
+    expect(report.rescheduled).to.have.lengthOf(1);
+    expect(report.rescheduled[0].changes).to.deep.equal([
+      "start",
+      "end",
+      "summary",
+    ]);
+    expect(report.modified).to.have.lengthOf(1);
+    expect(report.modified[0].after.uid).to.equal("c");
+    expect(report.modified[0].changes).to.deep.equal(["location"]);
+  });
+
+  it("should match occurrences by uid and recurrence id", () => {
+    const before = [
+      record("r", "2026-10-20 07:00", { recurrenceId: "2026-10-20 07:00" }),
+      record("r", "2026-10-21 07:00", { recurrenceId: "2026-10-21 07:00" }),
+    ];
+    const after = [
+      record("r", "2026-10-20 07:00", { recurrenceId: "2026-10-20 07:00" }),
+      record("r", "2026-10-21 08:00", { recurrenceId: "2026-10-21 07:00" }),
+    ];
+
+    const report = diffEvents(before, after);
+
+    expect(report.added).to.be.empty;
+    expect(report.removed).to.be.empty;
+    expect(report.rescheduled.map((r) => r.after.start)).to.deep.equal([
+      "2026-10-21 08:00",
+    ]);
+  });
+
+  it("should not report events which only left or entered the window", () => {
+    const before = [
+      record("old", "2026-10-12 09:00"),
+      record("day", "2026-10-12"),
+      record("gone", "2026-10-20 09:00"),
+    ];
+    const after = [
+      record("new", "2026-10-21 09:00"),
+      record("later", "2026-11-19 09:00"),
+      record("nextday", "2026-11-20"),
+    ];
+
+    const report = diffEvents(before, after, {
+      start: new Date("2026-10-13T08:00:00Z"),
+      end: new Date("2026-11-19T08:00:00Z"),
+    });
+
+    expect(report.removed.map((r) => r.uid)).to.deep.equal(["gone"]);
+    expect(report.added.map((r) => r.uid)).to.deep.equal(["new"]);
+  });
+
+  it("should sort each list by start", () => {
+    const report = diffEvents(
+      [],
+      [record("x", "2026-10-22 09:00"), record("y", "2026-10-20 09:00")],
+    );
+
+    expect(report.added.map((r) => r.uid)).to.deep.equal(["y", "x"]);
+  });
+});
+
+describe("formatReport", () => {
+  it("should say when there are no changes", () => {
+    expect(
+      formatReport({ added: [], removed: [], rescheduled: [], modified: [] }),
+    ).to.equal("No calendar changes");
+  });
+
+  it("should list each kind of change", () => {
+    const before = {
+      uid: "a",
+      recurrenceId: "",
+      start: "2026-10-20 09:00",
+      end: "2026-10-20 10:00",
+      summary: "Planning",
+      location: "",
+      status: "",
+    };
+    const text = formatReport({
+      added: [{ ...before, uid: "n", start: "2026-10-25", summary: "New" }],
+      removed: [],
+      rescheduled: [
+        {
+          before,
+          after: {
+            ...before,
+            start: "2026-10-20 11:00",
+            end: "2026-10-20 12:00",
+          },
+          changes: ["start", "end"],
+        },
+      ],
+      modified: [
+        {
+          before,
+          after: { ...before, location: "Room 1" },
+          changes: ["location"],
+        },
+      ],
+    });
+
+    expect(text.split("\n")).to.deep.equal([
+      "Calendar changes: 1 added, 0 removed, 1 rescheduled, 1 modified",
+      "",
+      "Added",
+      "  2026-10-25        New",
+      "",
+      "Rescheduled",
+      "  2026-10-20 09:00  Planning moved to 2026-10-20 11:00 - 2026-10-20 12:00",
+      "",
+      "Modified",
+      "  2026-10-20 09:00  Planning: location '' -> 'Room 1'",
+    ]);
+  });
+});
+
+describe("loadSnapshot and saveSnapshot", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "icsorg-test-"));
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const records = [
+    {
+      uid: "a",
+      recurrenceId: "",
+      start: "2026-10-20 09:00",
+      end: "2026-10-20 10:00",
+      summary: "Planning",
+      location: "",
+      status: "",
+    },
+  ];
+
+  it("should save a snapshot and read it back", async () => {
+    const file = join(tmpDir, "cal.json");
+    const end = new Date("2026-11-19T08:00:00Z");
+
+    await saveSnapshot(file, records, end);
+
+    expect(JSON.parse(readFileSync(file, "utf-8"))).to.deep.equal({
+      end: "2026-11-19T08:00:00.000Z",
+      records,
+    });
+    expect(
+      await loadSnapshot({
+        SNAPSHOT_FILE: file,
+        ORG_FILE: join(tmpDir, "cal.org"),
+      }),
+    ).to.deep.equal({ records, end });
+  });
+
+  it("should read snapshots saved as an array of records", async () => {
+    const file = join(tmpDir, "cal.json");
+    writeFileSync(file, JSON.stringify(records));
+
+    expect(
+      await loadSnapshot({ SNAPSHOT_FILE: file, ORG_FILE: "-" }),
+    ).to.deep.equal({ records, end: null });
+  });
+
+  it("should read the org file when there is no snapshot", async () => {
+    const orgFile = join(tmpDir, "cal.org");
+    writeFileSync(
+      orgFile,
+      [
+        "* Planning",
+        ":PROPERTIES:",
+        ":ICAL_EVENT:    t",
+        ":ID:            a",
+        ":END:",
+        "<2026-10-20 Tue 09:00-10:00>",
+        "",
+      ].join("\n"),
+    );
+
+    const written = new Date("2026-06-01T08:00:00Z");
+    utimesSync(orgFile, written, written);
+
+    expect(
+      await loadSnapshot({
+        SNAPSHOT_FILE: join(tmpDir, "missing.json"),
+        ORG_FILE: orgFile,
+        FUTURE: 31,
+      }),
+    ).to.deep.equal({ records, end: new Date("2026-07-02T08:00:00Z") });
+  });
+
+  it("should return no events when there is nothing to compare", async () => {
+    expect(
+      await loadSnapshot({
+        SNAPSHOT_FILE: "",
+        ORG_FILE: join(tmpDir, "x.org"),
+      }),
+    ).to.deep.equal({ records: [], end: null });
+    expect(
+      await loadSnapshot({ SNAPSHOT_FILE: "", ORG_FILE: "-" }),
+    ).to.deep.equal({ records: [], end: null });
+  });
+
+  it("should throw on a snapshot which is not JSON", async () => {
+    const file = join(tmpDir, "cal.json");
+    writeFileSync(file, "not json");
+
+    let error;
+    try {
+      await loadSnapshot({ SNAPSHOT_FILE: file, ORG_FILE: "-" });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/^loadSnapshot: /);
+  });
+});
@@ -0,0 +1,113 @@
+import { expect } from "chai";
+import { Readable } from "stream";
+import {
+  makeAttendeeLink,
+  groupAttendees,
+  dumpAttendees,
+} from "../../src/lib.js";
+
+const attendees = [
+  {
+    cn: "Boss",
+    email: "boss@example.com",
+    role: "CHAIR",
+    status: "ACCEPTED",
+    category: "INDIVIDUAL",
+  },
+  {
+    cn: "Fred Bloggs",
+    email: "fred@example.com",
+    role: "REQ-PARTICIPANT",
+    status: "NEEDS-ACTION",
+    guests: 2,
+  },
+  {
+    email: "jane@example.com",
+    role: "OPT-PARTICIPANT",
+    status: "TENTATIVE",
+  },
+  {
+    cn: "Room 1",
+    email: "room1@example.com",
+    role: "NON-PARTICIPANT",
+    status: "ACCEPTED",
+    category: "ROOM",
+  },
+];
+
+const dump = (format) => {
+  const rs = new Readable({ read() {} });
+  const chunks = [];
+  rs.on("data", (c) => chunks.push(c.toString()));
+  dumpAttendees(attendees, rs, format);
+  rs.push(null);
+  return new Promise((resolve) => rs.on("end", () => resolve(chunks.join(""))));
+};
+
+describe("makeAttendeeLink", () => {
+  it("should link to the email address with the CN as description", () => {
+    expect(makeAttendeeLink(attendees[0])).to.equal(
+      "[[mailto:boss@example.com][Boss]]",
+    );
+  });
+
+  it("should use the email address when there is no CN", () => {
+    expect(makeAttendeeLink(attendees[2])).to.equal(
+      "[[mailto:jane@example.com][jane@example.com]]",
+    );
+  });
+
+  it("should fall back to the CN when there is no email address", () => {
+    expect(makeAttendeeLink({ cn: "Someone" })).to.equal("Someone");
+  });
+});
+
+describe("groupAttendees", () => {
+  it("should group people by role and rooms as resources", () => {
+    const groups = groupAttendees(attendees);
+
+    expect(groups.map(([name, list]) => [name, list.length])).to.deep.equal([
+      ["Required", 2],
+      ["Optional", 1],
+      ["Resources", 1],
+    ]);
+  });
+
+  it("should treat attendees without a role as required", () => {
+    const groups = groupAttendees([{ cn: "A" }]);
+
+    expect(groups[0][0]).to.equal("Required");
+  });
+});
+
+describe("dumpAttendees", () => {
+  it("should write a grouped plain list", async () => {
+    const result = await dump("list");
+
+    expect(result).to.equal(
+      [
+        "- Required",
+        "  - [[mailto:boss@example.com][Boss]] (ACCEPTED, CHAIR)",
+        "  - [[mailto:fred@example.com][Fred Bloggs]] (NEEDS-ACTION, +2 guests)",
+        "- Optional",
+        "  - [[mailto:jane@example.com][jane@example.com]] (TENTATIVE)",
+        "- Resources",
+        "  - [[mailto:room1@example.com][Room 1]] (ACCEPTED, ROOM)",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("should write an aligned table with a rule between groups", async () => {
+    const lines = (await dump("table")).trimEnd().split("\n");
+
+    expect(lines).to.have.lengthOf(8);
+    expect(lines[0]).to.match(/^\| Attendee +\| Role +\| Status +\| Type/);
+    expect(lines[1]).to.match(/^\|-+\+-+\+/);
+    expect(lines[2]).to.include("| CHAIR ");
+    expect(lines[3]).to.include("| 2      |");
+    expect(lines[4]).to.equal(lines[1]);
+    expect(lines[7]).to.include("| ROOM ");
+    expect(new Set(lines.map((l) => l.length)).size).to.equal(1);
+  });
+});
@@ -0,0 +1,94 @@
+import { expect } from "chai";
+import { extractCalendarParts, splitMbox } from "../../src/lib.js";
+
+const ics = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "METHOD:REQUEST",
+  "BEGIN:VEVENT",
+  "UID:uid-1@example.com",
+  "SUMMARY:Café meeting",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+describe("extractCalendarParts", () => {
+  it("should extract a single part text/calendar message", () => {
+    const message = `Subject: Invite\r\nContent-Type: text/calendar; method=REQUEST\r\n\r\n${ics}\r\n`;
+
+    expect(extractCalendarParts(message)).to.deep.equal([ics]);
+  });
+
+  it("should decode base64 parts in nested multipart messages", () => {
+    const message = [
+      "Subject: Invite",
+      'Content-Type: multipart/mixed; boundary="outer"',
+      "",
+      "preamble",
+      "--outer",
+      "Content-Type: multipart/alternative;",
+      ' boundary="inner"',
+      "",
+      "--inner",
+      "Content-Type: text/plain",
+      "",
+      "Hello",
+      "--inner",
+      "Content-Type: text/calendar; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      Buffer.from(ics).toString("base64"),
+      "--inner--",
+      "--outer--",
+      "",
+    ].join("\r\n");
+
+    expect(extractCalendarParts(message)).to.deep.equal([ics]);
+  });
+
+  it("should decode quoted-printable parts", () => {
+    const encoded = ics
+      .replace("Café", "Caf=C3=A9")
+      .replace("SUMMARY:", "SUMM=\r\nARY:");
+    const message = `Content-Type: application/ics\r\nContent-Transfer-Encoding: quoted-printable\r\n\r\n${encoded}`;
+
+    expect(extractCalendarParts(message)).to.deep.equal([ics]);
+  });
+
+  it("should search attached messages", () => {
+    const inner = `Content-Type: text/calendar\r\n\r\n${ics}`;
+    const message = `Content-Type: message/rfc822\r\n\r\n${inner}`;
+
+    expect(extractCalendarParts(message)).to.deep.equal([ics]);
+  });
+
+  it("should return an empty array when there is no calendar part", () => {
+    const message = "Subject: Hello\r\nContent-Type: text/plain\r\n\r\nHi\r\n";
+
+    expect(extractCalendarParts(message)).to.deep.equal([]);
+  });
+});
+
+describe("splitMbox", () => {
+  it("should split an mbox into messages", () => {
+    const mbox = [
+      "From fred@example.com Tue Aug  1 10:00:00 2023",
+      "Subject: One",
+      "",
+      "Body one",
+      ">From the start",
+      "From barney@example.com Tue Aug  1 11:00:00 2023",
+      "Subject: Two",
+      "",
+      "Body two",
+      "",
+    ].join("\n");
+
+    const messages = splitMbox(mbox);
+
+    expect(messages).to.have.lengthOf(2);
+    expect(messages[0]).to.include("Subject: One");
+    expect(messages[0]).to.include("\nFrom the start");
+    expect(messages[1]).to.include("Subject: Two");
+  });
+});
@@ -0,0 +1,133 @@
+import { expect } from "chai";
+import {
+  htmlToOrg,
+  escapeOrgText,
+  formatDescription,
+  sanitiseSummary,
+} from "../../src/lib.js";
+
+describe("htmlToOrg", () => {
+  it("should convert links to org links", () => {
+    expect(
+      htmlToOrg('<a href="https://example.com/?a=1&amp;b=2">Agenda</a>'),
+    ).to.equal("[[https://example.com/?a=1&b=2][Agenda]]");
+    expect(
+      htmlToOrg("<a href='https://example.com'>https://example.com</a>"),
+    ).to.equal("[[https://example.com]]");
+  });
+
+  it("should convert lists to org plain lists", () => {
+    const html =
+      "<ul><li>One</li><li>Two<ol><li>First</li><li>Second</li></ol></li></ul>";
+
+    expect(htmlToOrg(html)).to.equal("- One\n- Two\n  1. First\n  2. Second");
+  });
+
+  it("should separate paragraphs with a blank line and keep breaks", () => {
+    expect(htmlToOrg("<p>Hello</p><p>Line one<br>Line two</p>")).to.equal(
+      "Hello\n\nLine one\nLine two",
+    );
+  });
+
+  it("should strip other tags, styles and comments", () => {
+    const html =
+      "<html><head><style>p { color: red; }</style></head><body>" +
+      "<!-- note --><p><b>Bold</b> and <span>plain</span></p></body></html>";
+
+    expect(htmlToOrg(html)).to.equal("Bold and plain");
+  });
+
+  it("should keep angle bracketed text which is not a tag", () => {
+    expect(
+      htmlToOrg("<p>Organizer: Jane <jane@example.com><o:p></o:p></p>"),
+    ).to.equal("Organizer: Jane <jane@example.com>");
+  });
+
+  it("should keep bracketed URLs in HTML descriptions", () => {
+    expect(
+      htmlToOrg("<p>Join: <https://zoom.us/j/1> or <mailto:a@example.com></p>"),
+    ).to.equal("Join: <https://zoom.us/j/1> or <mailto:a@example.com>");
+    expect(
+      formatDescription("Join: <https://zoom.us/j/1>\nCall <b>now</b>"),
+    ).to.equal("Join: <https://zoom.us/j/1> Call now");
+  });
+
+  it("should decode entities and collapse whitespace", () => {
+    expect(htmlToOrg("<p>Tea&nbsp;&amp;\n   cake &#8211; &lt;3</p>")).to.equal(
+      "Tea & cake – <3",
+    );
+  });
+});
+
+describe("escapeOrgText", () => {
+  it("should escape headline, keyword, comment and drawer lines", () => {
+    const text = [
+      "* Agenda",
+      "** Item",
+      "#+TITLE: Oops",
+      "# comment",
+      ":PROPERTIES:",
+      "  :END:",
+    ].join("\n");
+
+    expect(escapeOrgText(text)).to.equal(
+      [
+        ",* Agenda",
+        ",** Item",
+        ",#+TITLE: Oops",
+        ",# comment",
+        ",:PROPERTIES:",
+        ",  :END:",
+      ].join("\n"),
+    );
+  });
+
+  it("should leave ordinary text alone", () => {
+    const text = "*bold* start\nIssue #42\nNote: this\n - * list item";
+
+    expect(escapeOrgText(text)).to.equal(text);
+  });
+});
+
+describe("formatDescription", () => {
+  it("should convert HTML descriptions and escape the result", () => {
+    expect(formatDescription("<p>* Agenda</p><p>Item</p>")).to.equal(
+      ",* Agenda\n\nItem",
+    );
+  });
+
+  it("should keep plain text descriptions as text", () => {
+    expect(formatDescription("Use a < b and c > d\r\n* Notes\n")).to.equal(
+      "Use a < b and c > d\n,* Notes",
+    );
+  });
+
+  it("should keep plain text descriptions with addresses as text", () => {
+    const description =
+      "Hi team,\n\nAgenda:\n1. Budget\n2. Hiring\n\n" +
+      "Organizer: Jane <jane@example.com>\nCall me a<b or c>d";
+
+    expect(formatDescription(description)).to.equal(description);
+  });
+});
+
+describe("sanitiseSummary", () => {
+  it("should protect a trailing tag pattern", () => {
+    expect(sanitiseSummary("Sprint review :team:")).to.equal(
+      "Sprint review =:team:=",
+    );
+    expect(sanitiseSummary("Sync :a:b:")).to.equal("Sync =:a:b:=");
+  });
+
+  it("should replace new lines with spaces", () => {
+    expect(sanitiseSummary("Line one\nLine two ")).to.equal(
+      "Line one Line two",
+    );
+  });
+
+  it("should leave other summaries unchanged", () => {
+    expect(sanitiseSummary("Meeting at 10:30")).to.equal("Meeting at 10:30");
+    expect(sanitiseSummary(":tag: at start")).to.equal(":tag: at start");
+    expect(sanitiseSummary(undefined)).to.equal("");
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from "chai";
+import { groupEntries, setTimezone } from "../../src/lib.js";
+
+describe("groupEntries", () => {
+  before(() => setTimezone("Australia/Sydney"));
+  after(() => setTimezone("system"));
+
+  const events = [
+    {
+      summary: "Later",
+      source: "work",
+      startDate: new Date("2026-01-05T01:00:00Z"),
+    },
+    {
+      summary: "Earlier",
+      source: "home",
+      startDate: new Date("2025-12-31T22:00:00Z"),
+    },
+    { type: "todo", summary: "Someday", source: "home" },
+    {
+      type: "todo",
+      summary: "Due",
+      source: "work",
+      due: new Date("2026-01-04T23:00:00Z"),
+    },
+  ];
+
+  it("should return entries unchanged for the flat layout", () => {
+    expect(groupEntries(events, "flat")).to.equal(events);
+    expect(groupEntries(events)).to.equal(events);
+  });
+
+  it("should file entries in a year, month and day datetree", () => {
+    const tree = groupEntries(events, "datetree");
+
+    expect(tree.map((h) => h.title)).to.deep.equal(["2026", "Undated"]);
+    const [jan] = tree[0].entries;
+    expect(jan.title).to.equal("2026-01 January");
+    expect(jan.entries.map((d) => d.title)).to.deep.equal([
+      "2026-01-01 Thursday",
+      "2026-01-05 Monday",
+    ]);
+    expect(jan.entries[1].entries.map((e) => e.summary)).to.deep.equal([
+      "Due",
+      "Later",
+    ]);
+    expect(tree[1].entries.map((e) => e.summary)).to.deep.equal(["Someday"]);
+  });
+
+  it("should use ISO week years and weeks for the week layout", () => {
+    const tree = groupEntries(events, "week");
+
+    expect(tree[0].title).to.equal("2026");
+    expect(tree[0].entries.map((w) => w.title)).to.deep.equal([
+      "2026-W01",
+      "2026-W02",
+    ]);
+    expect(tree[0].entries[0].entries[0].title).to.equal("2026-01-01 Thursday");
+  });
+
+  it("should group by source and sort entries by date", () => {
+    const tree = groupEntries(events, "source");
+
+    expect(tree.map((h) => h.title)).to.deep.equal(["home", "work"]);
+    expect(tree[0].entries.map((e) => e.summary)).to.deep.equal([
+      "Earlier",
+      "Someday",
+    ]);
+    expect(tree[1].entries.map((e) => e.summary)).to.deep.equal([
+      "Due",
+      "Later",
+    ]);
+  });
+
+  it("should not modify the original entries array", () => {
+    const copy = [...events];
+
+    groupEntries(events, "datetree");
+
+    expect(events).to.deep.equal(copy);
+  });
+});
@@ -0,0 +1,167 @@
+import { expect } from "chai";
+import ICAL from "ical.js";
+import {
+  icalTimeToDate,
+  getOriginalZone,
+  setTimezone,
+  makeTimestamp,
+  makeTimestampRange,
+} from "../../src/lib.js";
+
+const berlin = new ICAL.Timezone(
+  new ICAL.Component(
+    ICAL.parse(
+      [
+        "BEGIN:VTIMEZONE",
+        "TZID:Europe/Berlin",
+        "BEGIN:STANDARD",
+        "DTSTART:19701025T030000",
+        "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+        "TZOFFSETFROM:+0200",
+        "TZOFFSETTO:+0100",
+        "END:STANDARD",
+        "BEGIN:DAYLIGHT",
+        "DTSTART:19700329T020000",
+        "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+        "TZOFFSETFROM:+0100",
+        "TZOFFSETTO:+0200",
+        "END:DAYLIGHT",
+        "END:VTIMEZONE",
+      ].join("\r\n"),
+    ),
+  ),
+);
+
+// A TZID with no VTIMEZONE in the calendar, which ical.js leaves floating
+const undefinedZoneTime = (tzid) =>
+  new ICAL.Component(
+    ICAL.parse(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:tz-1@example.com",
+        `DTSTART;TZID=${tzid}:20231115T100000`,
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n"),
+    ),
+  )
+    .getFirstSubcomponent("vevent")
+    .getFirstPropertyValue("dtstart");
+
+const makeTime = (value, zone) => {
+  const time = ICAL.Time.fromDateTimeString(value);
+  if (zone) time.zone = zone;
+  return time;
+};
+
+describe("icalTimeToDate", () => {
+  afterEach(() => setTimezone());
+
+  it("should convert UTC times to the same instant", () => {
+    const time = makeTime("2023-08-15T10:00:00", ICAL.Timezone.utcTimezone);
+
+    expect(icalTimeToDate(time).toISOString()).to.equal(
+      "2023-08-15T10:00:00.000Z",
+    );
+  });
+
+  it("should convert TZID times using their zone", () => {
+    const time = makeTime("2023-08-15T10:00:00", berlin);
+
+    expect(icalTimeToDate(time).toISOString()).to.equal(
+      "2023-08-15T08:00:00.000Z",
+    );
+  });
+
+  it("should take floating times to be in the output zone", () => {
+    setTimezone("Asia/Tokyo");
+    const time = makeTime("2023-08-15T10:00:00", ICAL.Timezone.localTimezone);
+
+    expect(icalTimeToDate(time).toISOString()).to.equal(
+      "2023-08-15T01:00:00.000Z",
+    );
+  });
+
+  it("should convert TZID times without a VTIMEZONE using the IANA zone", () => {
+    setTimezone("Australia/Sydney");
+
+    expect(
+      icalTimeToDate(undefinedZoneTime("America/New_York")).toISOString(),
+    ).to.equal("2023-11-15T15:00:00.000Z");
+    expect(
+      icalTimeToDate(undefinedZoneTime("Not/AZone")).toISOString(),
+    ).to.equal("2023-11-14T23:00:00.000Z");
+  });
+
+  it("should take dates to be midnight in the output zone", () => {
+    setTimezone("America/New_York");
+    const time = ICAL.Time.fromDateString("2023-08-15");
+
+    expect(icalTimeToDate(time).toISOString()).to.equal(
+      "2023-08-15T04:00:00.000Z",
+    );
+  });
+});
+
+describe("getOriginalZone", () => {
+  afterEach(() => setTimezone());
+
+  it("should return the TZID when it differs from the output zone", () => {
+    setTimezone("Australia/Sydney");
+
+    expect(getOriginalZone(makeTime("2023-08-15T10:00:00", berlin))).to.equal(
+      "Europe/Berlin",
+    );
+  });
+
+  it("should return an empty string when the zone is the output zone", () => {
+    setTimezone("Europe/Berlin");
+
+    expect(getOriginalZone(makeTime("2023-08-15T10:00:00", berlin))).to.equal(
+      "",
+    );
+  });
+
+  it("should return the IANA zone of a TZID without a VTIMEZONE", () => {
+    setTimezone("Australia/Sydney");
+
+    expect(getOriginalZone(undefinedZoneTime("America/New_York"))).to.equal(
+      "America/New_York",
+    );
+    expect(getOriginalZone(undefinedZoneTime("Not/AZone"))).to.equal("");
+  });
+
+  it("should return an empty string for UTC and floating times", () => {
+    setTimezone("Australia/Sydney");
+
+    expect(
+      getOriginalZone(
+        makeTime("2023-08-15T10:00:00", ICAL.Timezone.utcTimezone),
+      ),
+    ).to.equal("");
+    expect(
+      getOriginalZone(
+        makeTime("2023-08-15T10:00:00", ICAL.Timezone.localTimezone),
+      ),
+    ).to.equal("");
+  });
+});
+
+describe("setTimezone", () => {
+  afterEach(() => setTimezone());
+
+  it("should write timestamps in the output zone", () => {
+    const start = new Date("2023-08-15T08:00:00Z");
+    const end = new Date("2023-08-15T09:00:00Z");
+
+    setTimezone("Europe/Berlin");
+    expect(makeTimestamp(start)).to.equal("<2023-08-15 Tue 10:00>");
+    expect(makeTimestampRange(start, end)).to.equal(
+      "<2023-08-15 Tue 10:00-11:00>",
+    );
+
+    setTimezone("Australia/Sydney");
+    expect(makeTimestamp(start)).to.equal("<2023-08-15 Tue 18:00>");
+  });
+});
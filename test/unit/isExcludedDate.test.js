@@ -0,0 +1,46 @@
+import { expect } from "chai";
+import ICAL from "ical.js";
+import { isExcludedDate } from "../../src/lib.js";
+import { makeEvent } from "../helpers/ical.js";
+
+const makeSeries = (lines) =>
+  makeEvent(["DTSTART:20230814T093000Z", "RRULE:FREQ=DAILY", ...lines]);
+
+const utc = (value) => {
+  const time = ICAL.Time.fromDateTimeString(value);
+  time.zone = ICAL.Timezone.utcTimezone;
+  return time;
+};
+
+describe("isExcludedDate", () => {
+  it("should exclude an occurrence matching an EXDATE", () => {
+    const event = makeSeries(["EXDATE:20230815T093000Z"]);
+
+    expect(isExcludedDate(event, utc("2023-08-15T09:30:00"))).to.equal(true);
+    expect(isExcludedDate(event, utc("2023-08-16T09:30:00"))).to.equal(false);
+  });
+
+  it("should check every value of every EXDATE property", () => {
+    const event = makeSeries([
+      "EXDATE:20230815T093000Z,20230816T093000Z",
+      "EXDATE:20230818T093000Z",
+    ]);
+
+    expect(isExcludedDate(event, utc("2023-08-15T09:30:00"))).to.equal(true);
+    expect(isExcludedDate(event, utc("2023-08-16T09:30:00"))).to.equal(true);
+    expect(isExcludedDate(event, utc("2023-08-17T09:30:00"))).to.equal(false);
+    expect(isExcludedDate(event, utc("2023-08-18T09:30:00"))).to.equal(true);
+  });
+
+  it("should exclude any occurrence on a date only EXDATE", () => {
+    const event = makeSeries(["EXDATE;VALUE=DATE:20230815"]);
+
+    expect(isExcludedDate(event, utc("2023-08-15T09:30:00"))).to.equal(true);
+  });
+
+  it("should not exclude anything without EXDATE properties", () => {
+    expect(isExcludedDate(makeSeries([]), utc("2023-08-15T09:30:00"))).to.equal(
+      false,
+    );
+  });
+});
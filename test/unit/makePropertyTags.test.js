@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import ICAL from "ical.js";
+import {
+  makeTag,
+  parseTagMap,
+  makePropertyTags,
+  getCategories,
+} from "../../src/lib.js";
+
+describe("makeTag", () => {
+  it("should keep valid tag characters", () => {
+    expect(makeTag("work")).to.equal("work");
+    expect(makeTag("Team_A@HQ#1%")).to.equal("Team_A@HQ#1%");
+    expect(makeTag("Café")).to.equal("Café");
+  });
+
+  it("should replace invalid characters with underscores", () => {
+    expect(makeTag("Personal Stuff")).to.equal("Personal_Stuff");
+    expect(makeTag("on-call: primary")).to.equal("on_call_primary");
+    expect(makeTag(" (Project) ")).to.equal("Project");
+  });
+
+  it("should return an empty string when nothing usable is left", () => {
+    expect(makeTag("---")).to.equal("");
+  });
+});
+
+describe("parseTagMap", () => {
+  it("should parse VALUE=tag pairs", () => {
+    expect(parseTagMap("private=secret, CONFIDENTIAL = conf")).to.deep.equal({
+      PRIVATE: "secret",
+      CONFIDENTIAL: "conf",
+    });
+  });
+
+  it("should ignore entries without a tag", () => {
+    expect(parseTagMap("PRIVATE,PUBLIC=,=x")).to.deep.equal({});
+    expect(parseTagMap("")).to.deep.equal({});
+    expect(parseTagMap(undefined)).to.deep.equal({});
+  });
+});
+
+describe("makePropertyTags", () => {
+  const config = {
+    CATEGORY_TAGS: true,
+    CLASS_TAGS: { PRIVATE: "private" },
+    TRANSP_TAGS: { TRANSPARENT: "free" },
+  };
+
+  it("should make tags from categories, class and transp", () => {
+    const event = {
+      categories: ["Health", "Personal Stuff"],
+      class: "PRIVATE",
+      transp: "TRANSPARENT",
+    };
+
+    expect(makePropertyTags(event, config)).to.deep.equal([
+      "Health",
+      "Personal_Stuff",
+      "private",
+      "free",
+    ]);
+  });
+
+  it("should only use mapped class and transp values", () => {
+    const event = { categories: [], class: "PUBLIC", transp: "OPAQUE" };
+
+    expect(makePropertyTags(event, config)).to.deep.equal([]);
+  });
+
+  it("should leave out categories when CATEGORY_TAGS is false", () => {
+    const event = { categories: ["Health"], class: "private" };
+
+    expect(
+      makePropertyTags(event, { ...config, CATEGORY_TAGS: false }),
+    ).to.deep.equal(["private"]);
+  });
+
+  it("should handle events and config without tag settings", () => {
+    expect(makePropertyTags({}, {})).to.deep.equal([]);
+  });
+});
+
+describe("getCategories", () => {
+  it("should return the values of all CATEGORIES properties", () => {
+    const component = new ICAL.Component(
+      ICAL.parse(
+        [
+          "BEGIN:VEVENT",
+          "UID:cat-1@example.com",
+          "CATEGORIES:Health,Personal Stuff",
+          "CATEGORIES:work",
+          "END:VEVENT",
+        ].join("\r\n"),
+      ),
+    );
+
+    expect(getCategories(component)).to.deep.equal([
+      "Health",
+      "Personal Stuff",
+      "work",
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+import { expect } from "chai";
+import { makeRepeater, setTimezone } from "../../src/lib.js";
+import { makeEvent } from "../helpers/ical.js";
+
+describe("makeRepeater", () => {
+  it("should map simple frequencies to repeaters", () => {
+    // 2023-08-14 is a Monday
+    const start = "DTSTART:20230814T093000";
+
+    expect(makeRepeater(makeEvent([start, "RRULE:FREQ=DAILY"]))).to.equal(
+      "+1d",
+    );
+    expect(makeRepeater(makeEvent([start, "RRULE:FREQ=WEEKLY"]))).to.equal(
+      "+1w",
+    );
+    expect(makeRepeater(makeEvent([start, "RRULE:FREQ=MONTHLY"]))).to.equal(
+      "+1m",
+    );
+    expect(makeRepeater(makeEvent([start, "RRULE:FREQ=YEARLY"]))).to.equal(
+      "+1y",
+    );
+  });
+
+  it("should use the rule interval", () => {
+    const event = makeEvent([
+      "DTSTART:20230814T093000",
+      "RRULE:FREQ=WEEKLY;INTERVAL=2",
+    ]);
+
+    expect(makeRepeater(event)).to.equal("+2w");
+  });
+
+  it("should allow rule parts implied by the start date", () => {
+    const weekly = makeEvent([
+      "DTSTART:20230814T093000",
+      "RRULE:FREQ=WEEKLY;BYDAY=MO;WKST=SU",
+    ]);
+    const monthly = makeEvent([
+      "DTSTART:20230814T093000",
+      "RRULE:FREQ=MONTHLY;BYMONTHDAY=14",
+    ]);
+    const yearly = makeEvent([
+      "DTSTART;VALUE=DATE:20230814",
+      "RRULE:FREQ=YEARLY;BYMONTH=8;BYMONTHDAY=14",
+    ]);
+
+    expect(makeRepeater(weekly)).to.equal("+1w");
+    expect(makeRepeater(monthly)).to.equal("+1m");
+    expect(makeRepeater(yearly)).to.equal("+1y");
+  });
+
+  it("should return an empty string for rules org cannot represent", () => {
+    const start = "DTSTART:20230814T093000";
+    [
+      "RRULE:FREQ=WEEKLY;BYDAY=MO,WE",
+      "RRULE:FREQ=WEEKLY;BYDAY=TU",
+      "RRULE:FREQ=MONTHLY;BYDAY=2MO",
+      "RRULE:FREQ=WEEKLY;COUNT=5",
+      "RRULE:FREQ=WEEKLY;UNTIL=20231231T000000Z",
+      "RRULE:FREQ=HOURLY",
+    ].forEach((rule) =>
+      expect(makeRepeater(makeEvent([start, rule])), rule).to.equal(""),
+    );
+  });
+
+  it("should return an empty string when there are extra dates", () => {
+    const start = "DTSTART:20230814T093000";
+
+    expect(
+      makeRepeater(
+        makeEvent([start, "RRULE:FREQ=WEEKLY", "EXDATE:20230821T093000"]),
+      ),
+    ).to.equal("");
+    expect(
+      makeRepeater(
+        makeEvent([start, "RRULE:FREQ=WEEKLY", "RDATE:20230823T093000"]),
+      ),
+    ).to.equal("");
+  });
+
+  it("should return an empty string for days some months or years lack", () => {
+    ["20261029", "20261030", "20261031"].forEach((day) =>
+      expect(
+        makeRepeater(
+          makeEvent([`DTSTART;VALUE=DATE:${day}`, "RRULE:FREQ=MONTHLY"]),
+        ),
+        day,
+      ).to.equal(""),
+    );
+    expect(
+      makeRepeater(makeEvent(["DTSTART:20280229T093000", "RRULE:FREQ=YEARLY"])),
+    ).to.equal("");
+    expect(
+      makeRepeater(
+        makeEvent(["DTSTART;VALUE=DATE:20261028", "RRULE:FREQ=MONTHLY"]),
+      ),
+    ).to.equal("+1m");
+    expect(
+      makeRepeater(
+        makeEvent(["DTSTART;VALUE=DATE:20261031", "RRULE:FREQ=YEARLY"]),
+      ),
+    ).to.equal("+1y");
+  });
+
+  it("should return an empty string for events without a rule", () => {
+    expect(makeRepeater(makeEvent(["DTSTART:20230814T093000"]))).to.equal("");
+  });
+
+  describe("with an output time zone", () => {
+    afterEach(() => setTimezone("system"));
+
+    it("should only use a repeater for series in the output zone", () => {
+      const event = makeEvent([
+        "DTSTART:20230814T093000Z",
+        "RRULE:FREQ=WEEKLY",
+      ]);
+
+      setTimezone("UTC");
+      expect(makeRepeater(event)).to.equal("+1w");
+      setTimezone("Australia/Sydney");
+      expect(makeRepeater(event)).to.equal("");
+    });
+
+    it("should use a repeater for floating and all day series", () => {
+      setTimezone("Australia/Sydney");
+
+      expect(
+        makeRepeater(
+          makeEvent(["DTSTART:20230814T093000", "RRULE:FREQ=WEEKLY"]),
+        ),
+      ).to.equal("+1w");
+      expect(
+        makeRepeater(
+          makeEvent(["DTSTART;VALUE=DATE:20230814", "RRULE:FREQ=WEEKLY"]),
+        ),
+      ).to.equal("+1w");
+    });
+  });
+
+  it("should not use a repeater when an override moves or cancels an occurrence", () => {
+    const event = makeEvent(["DTSTART:20230814T093000", "RRULE:FREQ=WEEKLY"]);
+    const override = (lines) =>
+      makeEvent(["RECURRENCE-ID:20230821T093000", ...lines]);
+
+    expect(
+      makeRepeater(event, [
+        override(["DTSTART:20230821T093000", "SUMMARY:New agenda"]),
+      ]),
+    ).to.equal("+1w");
+    expect(
+      makeRepeater(event, [override(["DTSTART:20230821T113000"])]),
+    ).to.equal("");
+    expect(
+      makeRepeater(event, [
+        override(["DTSTART:20230821T093000", "STATUS:CANCELLED"]),
+      ]),
+    ).to.equal("");
+  });
+});
@@ -77,4 +77,11 @@ describe("makeTimestamp", () => {
     // Should contain a 3-letter day abbreviation
     expect(result).to.match(/\w{3}/);
   });
+
+  it("should create a date only timestamp", () => {
+    const date = new Date("2021-08-06T00:00:00");
+
+    expect(makeTimestamp(date, "active", true)).to.equal("<2021-08-06 Fri>");
+    expect(makeTimestamp(date, "inactive", true)).to.equal("[2021-08-06 Fri]");
+  });
 });
@@ -89,4 +89,54 @@ describe("makeTimestampRange", () => {
     // Should contain 3-letter day abbreviation
     expect(result).to.match(/\w{3}/);
   });
+
+  it("should use a date only timestamp for a one day all day event", () => {
+    const start = new Date("2021-08-06T00:00:00");
+    const end = new Date("2021-08-07T00:00:00");
+    const result = makeTimestampRange(start, end, true);
+
+    expect(result).to.equal("<2021-08-06 Fri>");
+  });
+
+  it("should use an inclusive date range for multi-day all day events", () => {
+    const start = new Date("2021-08-06T00:00:00");
+    const end = new Date("2021-08-09T00:00:00");
+    const result = makeTimestampRange(start, end, true);
+
+    expect(result).to.equal("<2021-08-06 Fri>--<2021-08-08 Sun>");
+  });
+
+  it("should not end an all day event before it starts", () => {
+    const start = new Date("2021-08-06T00:00:00");
+    const result = makeTimestampRange(start, start, true);
+
+    expect(result).to.equal("<2021-08-06 Fri>");
+  });
+
+  it("should add a repeater to a same day range", () => {
+    const start = new Date("2023-08-14T09:30:00");
+    const end = new Date("2023-08-14T09:45:00");
+
+    expect(makeTimestampRange(start, end, false, "+1w")).to.equal(
+      "<2023-08-14 Mon 09:30-09:45 +1w>",
+    );
+  });
+
+  it("should add a repeater to both ends of a multi-day range", () => {
+    const start = new Date("2023-08-14T09:00:00");
+    const end = new Date("2023-08-15T17:00:00");
+
+    expect(makeTimestampRange(start, end, false, "+1m")).to.equal(
+      "<2023-08-14 Mon 09:00 +1m>--<2023-08-15 Tue 17:00 +1m>",
+    );
+  });
+
+  it("should add a repeater to an all day event", () => {
+    const start = new Date("2023-11-01T00:00:00");
+    const end = new Date("2023-11-02T00:00:00");
+
+    expect(makeTimestampRange(start, end, true, "+1y")).to.equal(
+      "<2023-11-01 Wed +1y>",
+    );
+  });
 });
@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import { mapTodo, makePriorityCookie, isDateValue } from "../../src/lib.js";
+import { makeTodo } from "../helpers/ical.js";
+
+describe("mapTodo", () => {
+  it("should map VTODO properties to a to-do object", () => {
+    const todo = mapTodo(
+      makeTodo([
+        "SUMMARY:Write report",
+        "DESCRIPTION:Quarterly numbers",
+        "STATUS:IN-PROCESS",
+        "PRIORITY:1",
+        "PERCENT-COMPLETE:40",
+        "DTSTART:20230810T090000Z",
+        "DUE:20230820T170000Z",
+      ]),
+    );
+
+    expect(todo.type).to.equal("todo");
+    expect(todo.uid).to.equal("todo-1@example.com");
+    expect(todo.summary).to.equal("Write report");
+    expect(todo.description).to.equal("Quarterly numbers");
+    expect(todo.status).to.equal("IN-PROCESS");
+    expect(todo.priority).to.equal(1);
+    expect(todo.percentComplete).to.equal(40);
+    expect(todo.start.toISOString()).to.equal("2023-08-10T09:00:00.000Z");
+    expect(todo.due.toISOString()).to.equal("2023-08-20T17:00:00.000Z");
+    expect(todo.completed).to.equal(null);
+  });
+
+  it("should default missing values", () => {
+    const todo = mapTodo(makeTodo(["SUMMARY:Minimal"]));
+
+    expect(todo.status).to.equal("NEEDS-ACTION");
+    expect(todo.priority).to.equal(0);
+    expect(todo.percentComplete).to.equal(null);
+    expect(todo.due).to.equal(null);
+    expect(todo.start).to.equal(null);
+    expect(todo.attendees).to.deep.equal([]);
+  });
+
+  it("should map COMPLETED date", () => {
+    const todo = mapTodo(
+      makeTodo([
+        "SUMMARY:Done",
+        "STATUS:COMPLETED",
+        "COMPLETED:20230812T120000Z",
+      ]),
+    );
+
+    expect(todo.completed.toISOString()).to.equal("2023-08-12T12:00:00.000Z");
+  });
+
+  it("should flag DATE valued DUE and DTSTART", () => {
+    const todo = mapTodo(
+      makeTodo([
+        "SUMMARY:Dates",
+        "DTSTART;VALUE=DATE:20230810",
+        "DUE;VALUE=DATE:20230820",
+      ]),
+    );
+
+    expect(todo.startIsDate).to.equal(true);
+    expect(todo.dueIsDate).to.equal(true);
+    expect(todo.due.getDate()).to.equal(20);
+  });
+
+  it("should map CATEGORIES and CLASS", () => {
+    const todo = mapTodo(
+      makeTodo(["SUMMARY:Errand", "CATEGORIES:Errands,Home", "CLASS:PRIVATE"]),
+    );
+
+    expect(todo.categories).to.deep.equal(["Errands", "Home"]);
+    expect(todo.class).to.equal("PRIVATE");
+  });
+});
+
+describe("isDateValue", () => {
+  it("should be true for DATE values", () => {
+    const todo = makeTodo(["DUE;VALUE=DATE:20230820"]);
+
+    expect(isDateValue("due", todo)).to.equal(true);
+  });
+
+  it("should be false for DATE-TIME values and missing properties", () => {
+    const todo = makeTodo(["DUE:20230820T170000Z"]);
+
+    expect(isDateValue("due", todo)).to.equal(false);
+    expect(isDateValue("dtstart", todo)).to.equal(false);
+  });
+});
+
+describe("makePriorityCookie", () => {
+  it("should map priorities 1-4 to [#A]", () => {
+    [1, 2, 3, 4].forEach((p) => expect(makePriorityCookie(p)).to.equal("[#A]"));
+  });
+
+  it("should map priority 5 to [#B]", () => {
+    expect(makePriorityCookie(5)).to.equal("[#B]");
+  });
+
+  it("should map priorities 6-9 to [#C]", () => {
+    [6, 7, 8, 9].forEach((p) => expect(makePriorityCookie(p)).to.equal("[#C]"));
+  });
+
+  it("should return an empty string for undefined priority", () => {
+    expect(makePriorityCookie(0)).to.equal("");
+    expect(makePriorityCookie(undefined)).to.equal("");
+  });
+});
@@ -0,0 +1,284 @@
+import { expect } from "chai";
+import { parseOrg, mergeOrg, setTimezone } from "../../src/lib.js";
+
+const header =
+  "#+TITLE:       Calendar\n#+TODO:        TODO | DONE CANCELLED\n\n";
+
+function entry(id, title, timestamp, extra = []) {
+  return [
+    `* ${title}`,
+    ":PROPERTIES:",
+    ":ICAL_EVENT:    t",
+    `:ID:            ${id}`,
+    ...extra,
+    ":END:",
+    timestamp,
+    "",
+  ].join("\n");
+}
+
+describe("parseOrg", () => {
+  it("should split the preamble and headline tree", () => {
+    const doc = parseOrg(
+      "#+TITLE: x\n\n* One\ntext\n** Two\n*** Three\n* Four\n",
+    );
+
+    expect(doc.preamble).to.deep.equal(["#+TITLE: x", ""]);
+    expect(doc.entries).to.have.lengthOf(2);
+    expect(doc.entries[0].title).to.equal("One");
+    expect(doc.entries[0].lines).to.deep.equal(["text"]);
+    expect(doc.entries[0].children[0].children[0].title).to.equal("Three");
+    expect(doc.entries[1].title).to.equal("Four");
+  });
+});
+
+describe("mergeOrg", () => {
+  before(() => setTimezone("UTC"));
+  after(() => setTimezone("system"));
+
+  it("should create the file with entries in :ICAL: drawers", () => {
+    const { text, archived } = mergeOrg("", {
+      header,
+      entries: [
+        {
+          path: [],
+          text: entry("e1", "Planning :work:", "<2026-10-20 Tue 09:00-10:00>"),
+        },
+      ],
+    });
+
+    expect(text).to.equal(
+      [
+        "#+TITLE:       Calendar",
+        "#+TODO:        TODO | DONE CANCELLED",
+        "",
+        "* Planning :work:",
+        ":PROPERTIES:",
+        ":ICAL_EVENT:    t",
+        ":ID:            e1",
+        ":ICAL_TAGS:     :work:",
+        ":END:",
+        ":ICAL:",
+        "<2026-10-20 Tue 09:00-10:00>",
+        ":END:",
+        "",
+      ].join("\n"),
+    );
+    expect(archived).to.equal("");
+  });
+
+  it("should update generated parts and keep changes made by hand", () => {
+    const existing = [
+      "#+TITLE:       Old title",
+      "#+TODO: NEXT | WAITING",
+      "Some notes about this file",
+      "",
+      "* NEXT [#A] Planning :work:mine:",
+      "SCHEDULED: <2026-10-19 Mon>",
+      ":PROPERTIES:",
+      ":ICAL_EVENT:    t",
+      ":ID:            e1",
+      ":LOCATION:      Room 1",
+      ":ICAL_TAGS:     :work:",
+      ":EFFORT:        1:00",
+      ":END:",
+      ":LOGBOOK:",
+      "CLOCK: [2026-10-19 Mon 10:00]--[2026-10-19 Mon 10:30] =>  0:30",
+      ":END:",
+      ":ICAL:",
+      "<2026-10-20 Tue 09:00-10:00>",
+      ":END:",
+      "My notes",
+      "** Follow up",
+      "* Not from a calendar",
+      "",
+    ].join("\n");
+
+    const { text } = mergeOrg(existing, {
+      header,
+      entries: [
+        {
+          path: [],
+          text: entry(
+            "e1",
+            "Planning v2 :office:",
+            "<2026-10-20 Tue 11:00-12:00>",
+          ),
+        },
+      ],
+    });
+
+    expect(text).to.equal(
+      [
+        "#+TITLE:       Calendar",
+        "#+TODO:        TODO | DONE CANCELLED",
+        "#+TODO: NEXT | WAITING",
+        "Some notes about this file",
+        "",
+        "* NEXT [#A] Planning v2 :office:mine:",
+        "SCHEDULED: <2026-10-19 Mon>",
+        ":PROPERTIES:",
+        ":ICAL_EVENT:    t",
+        ":ID:            e1",
+        ":ICAL_TAGS:     :office:",
+        ":EFFORT:        1:00",
+        ":END:",
+        ":LOGBOOK:",
+        "CLOCK: [2026-10-19 Mon 10:00]--[2026-10-19 Mon 10:30] =>  0:30",
+        ":END:",
+        ":ICAL:",
+        "<2026-10-20 Tue 11:00-12:00>",
+        ":END:",
+        "My notes",
+        "** Follow up",
+        "* Not from a calendar",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("should replace the tags of entries not merged before", () => {
+    const existing = `${header}${entry("e1", "Planning :needs_action:", "<2026-10-20 Tue 09:00>")}`;
+
+    const { text } = mergeOrg(existing, {
+      header,
+      entries: [
+        {
+          path: [],
+          text: entry("e1", "Planning :accepted:", "<2026-10-20 Tue 09:00>"),
+        },
+      ],
+    });
+
+    expect(text).to.include("* Planning :accepted:\n");
+  });
+
+  it("should match entries sharing an ID by RECURRENCE_ID", () => {
+    const occurrence = (day, note) =>
+      entry("r1", "Daily", `<2026-10-${day} 07:00>`, [
+        `:RECURRENCE_ID: [2026-10-${day} 07:00]`,
+      ]) + (note ? `${note}\n` : "");
+    const existing = mergeOrg("", {
+      header,
+      entries: [
+        { path: [], text: occurrence(20) },
+        { path: [], text: occurrence(21) },
+      ],
+    }).text.replace(
+      "<2026-10-21 07:00>\n:END:\n",
+      "<2026-10-21 07:00>\n:END:\nNote for the 21st\n",
+    );
+
+    const { text } = mergeOrg(existing, {
+      header,
+      entries: [
+        { path: [], text: occurrence(21) },
+        { path: [], text: occurrence(22) },
+      ],
+    });
+
+    const doc = parseOrg(text);
+    expect(doc.entries).to.have.lengthOf(2);
+    expect(doc.entries[0].lines).to.include("Note for the 21st");
+    expect(doc.entries[1].lines).to.include("<2026-10-22 07:00>");
+  });
+
+  it("should delete, mark or archive entries removed upstream", () => {
+    const existing = `${header}${entry("e1", "Gone", "<2026-10-20 Tue 09:00>")}`;
+    const generated = { header, entries: [] };
+
+    expect(mergeOrg(existing, generated).text).to.not.include("Gone");
+    expect(mergeOrg(existing, generated, { removed: "mark" }).text).to.include(
+      "* Gone :removed:\n",
+    );
+
+    const { text, archived } = mergeOrg(existing, generated, {
+      removed: "archive",
+      file: "cal.org",
+      now: new Date("2026-10-19T08:00:00Z"),
+    });
+    expect(text).to.not.include("Gone");
+    expect(archived).to.include(
+      "* Gone\n:PROPERTIES:\n:ICAL_EVENT:    t\n:ID:            e1\n:ARCHIVE_TIME: 2026-10-19 Mon 08:00\n:ARCHIVE_FILE: cal.org\n:END:\n",
+    );
+  });
+
+  it("should keep entries dated outside the window as they are", () => {
+    const past = `${entry("e0", "Last week", "<2026-10-12 Mon 09:00>")}Notes\nCLOCK: [2026-10-12 Mon 09:00]--[2026-10-12 Mon 09:30] =>  0:30\n** Follow up\n`;
+    const existing = `${header}${past}${entry("e1", "Gone", "<2026-10-20 Tue 09:00>")}`;
+
+    const { text } = mergeOrg(
+      existing,
+      { header, entries: [] },
+      {
+        start: new Date("2026-10-13T08:00:00Z"),
+        end: new Date("2026-11-19T08:00:00Z"),
+      },
+    );
+
+    expect(text).to.include(past);
+    expect(text).to.not.include("Gone");
+  });
+
+  it("should file new and moved entries under their headings", () => {
+    const day = (d) => ["2026", "2026-10 October", d];
+    const first = mergeOrg("", {
+      header,
+      entries: [
+        {
+          path: day("2026-10-21 Wednesday"),
+          text: entry("e1", "Moves", "<2026-10-21 Wed 09:00>"),
+        },
+      ],
+    }).text;
+
+    const { text } = mergeOrg(first, {
+      header,
+      entries: [
+        {
+          path: day("2026-10-20 Tuesday"),
+          text: entry("e2", "Late", "<2026-10-20 Tue 15:00>"),
+        },
+        {
+          path: day("2026-10-20 Tuesday"),
+          text: entry("e1", "Moves", "<2026-10-20 Tue 09:00>"),
+        },
+      ],
+    });
+
+    const headlines = text.split("\n").filter((l) => l.startsWith("*"));
+    expect(headlines).to.deep.equal([
+      "* 2026",
+      "** 2026-10 October",
+      "*** 2026-10-20 Tuesday",
+      "**** Moves",
+      "**** Late",
+      "*** 2026-10-21 Wednesday",
+    ]);
+  });
+
+  it("should match templated entries without a marker property", () => {
+    const generated = {
+      header,
+      entries: [
+        {
+          path: [],
+          text: "* <2026-10-20 Tue 09:00-10:00> Standup\n:PROPERTIES:\n:ID:       s1\n:END:\n",
+        },
+      ],
+    };
+
+    const first = mergeOrg("", generated).text;
+    const second = mergeOrg(first, generated).text;
+
+    expect(first).to.include(":ICAL_TAGS:\n");
+    expect(second).to.equal(first);
+    expect(second.match(/^\* /gm)).to.have.lengthOf(1);
+  });
+
+  it("should throw an error when an entry has no :ID:", () => {
+    expect(() =>
+      mergeOrg("", { header, entries: [{ path: [], text: "* No ID\n" }] }),
+    ).to.throw(/no :ID: property/);
+  });
+});
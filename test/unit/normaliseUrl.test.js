@@ -0,0 +1,43 @@
+import { expect } from "chai";
+import { isUrl, normaliseUrl } from "../../src/lib.js";
+
+describe("isUrl", () => {
+  it("should recognise http, https, webcal and webcals URLs", () => {
+    [
+      "http://example.com/cal.ics",
+      "https://example.com/cal.ics",
+      "webcal://example.com/cal.ics",
+      "webcals://example.com/cal.ics",
+      "WEBCAL://example.com/cal.ics",
+    ].forEach((u) => expect(isUrl(u), u).to.equal(true));
+  });
+
+  it("should not treat file paths as URLs", () => {
+    ["/home/fred/cal.ics", "cal.ics", "httpcal.ics", "", undefined].forEach(
+      (p) => expect(isUrl(p), p).to.equal(false),
+    );
+  });
+});
+
+describe("normaliseUrl", () => {
+  it("should map webcal to http", () => {
+    expect(normaliseUrl("webcal://example.com/cal.ics")).to.equal(
+      "http://example.com/cal.ics",
+    );
+  });
+
+  it("should map webcals to https", () => {
+    expect(normaliseUrl("webcals://example.com/cal.ics")).to.equal(
+      "https://example.com/cal.ics",
+    );
+  });
+
+  it("should leave http and https URLs unchanged", () => {
+    expect(normaliseUrl("https://example.com/cal.ics")).to.equal(
+      "https://example.com/cal.ics",
+    );
+    expect(normaliseUrl("http://example.com/cal.ics")).to.equal(
+      "http://example.com/cal.ics",
+    );
+  });
+});
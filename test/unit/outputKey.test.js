@@ -0,0 +1,70 @@
+import { expect } from "chai";
+import { mkdtempSync, rmSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { DateTime } from "luxon";
+import { outputKey, readOutputKey, writeOutputKey } from "../../src/lib.js";
+
+describe("outputKey", () => {
+  const config = {
+    LAYOUT: "flat",
+    TIMEZONE: "UTC",
+    START_DATE: DateTime.fromISO("2026-10-12T08:00:00Z"),
+    END_DATE: DateTime.fromISO("2026-11-18T08:00:00Z"),
+  };
+
+  it("should not change during the day", () => {
+    expect(
+      outputKey({
+        ...config,
+        START_DATE: DateTime.fromISO("2026-10-12T20:00:00Z"),
+        END_DATE: DateTime.fromISO("2026-11-18T20:00:00Z"),
+      }),
+    ).to.equal(outputKey(config));
+  });
+
+  it("should change with the date window, settings and templates", () => {
+    const key = outputKey(config);
+
+    expect(
+      outputKey({
+        ...config,
+        START_DATE: DateTime.fromISO("2026-10-13T08:00:00Z"),
+      }),
+    ).to.not.equal(key);
+    expect(outputKey({ ...config, LAYOUT: "week" })).to.not.equal(key);
+    expect(outputKey(config, { event: "* {{summary}}\n" })).to.not.equal(key);
+  });
+});
+
+describe("readOutputKey and writeOutputKey", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "icsorg-test-"));
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should store the key for each org file", async () => {
+    const config = { CACHE_DIR: tmpDir, ORG_FILE: join(tmpDir, "a.org") };
+
+    expect(await readOutputKey(config)).to.equal("");
+    await writeOutputKey(config, "abc");
+
+    expect(await readOutputKey(config)).to.equal("abc");
+    expect(
+      await readOutputKey({ ...config, ORG_FILE: join(tmpDir, "b.org") }),
+    ).to.equal("");
+  });
+
+  it("should do nothing without a cache directory", async () => {
+    const config = { CACHE_DIR: "", ORG_FILE: join(tmpDir, "a.org") };
+
+    await writeOutputKey(config, "abc");
+
+    expect(await readOutputKey(config)).to.equal("");
+  });
+});
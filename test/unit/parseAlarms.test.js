@@ -0,0 +1,97 @@
+import { expect } from "chai";
+import { parseAlarms, makeWarntime } from "../../src/lib.js";
+import { makeEvent } from "../helpers/ical.js";
+
+const makeAlarmEvent = (alarms) =>
+  makeEvent([
+    "DTSTART:20230815T090000Z",
+    "DTEND:20230815T100000Z",
+    ...alarms.flatMap((lines) => ["BEGIN:VALARM", ...lines, "END:VALARM"]),
+  ]);
+
+describe("parseAlarms", () => {
+  it("should parse relative display alarms", () => {
+    const alarms = parseAlarms(
+      makeAlarmEvent([
+        ["ACTION:DISPLAY", "TRIGGER:-PT15M"],
+        ["ACTION:DISPLAY", "TRIGGER;RELATED=END:-PT5M"],
+      ]),
+    );
+
+    expect(alarms).to.deep.equal([
+      { minutes: 15, related: "START", time: null },
+      { minutes: 5, related: "END", time: null },
+    ]);
+  });
+
+  it("should parse absolute display alarms", () => {
+    const alarms = parseAlarms(
+      makeAlarmEvent([
+        ["ACTION:DISPLAY", "TRIGGER;VALUE=DATE-TIME:20230815T080000Z"],
+      ]),
+    );
+
+    expect(alarms).to.have.lengthOf(1);
+    expect(alarms[0].minutes).to.equal(null);
+    expect(alarms[0].time.toISOString()).to.equal("2023-08-15T08:00:00.000Z");
+  });
+
+  it("should ignore alarms which are not display alarms", () => {
+    const alarms = parseAlarms(
+      makeAlarmEvent([
+        ["ACTION:EMAIL", "TRIGGER:-P1D"],
+        ["ACTION:AUDIO", "TRIGGER:-PT5M"],
+      ]),
+    );
+
+    expect(alarms).to.deep.equal([]);
+  });
+
+  it("should return an empty array for events without alarms", () => {
+    expect(parseAlarms(makeAlarmEvent([]))).to.deep.equal([]);
+  });
+});
+
+describe("makeWarntime", () => {
+  const start = new Date("2023-08-15T09:00:00Z");
+  const end = new Date("2023-08-15T10:00:00Z");
+
+  it("should use the minutes before the start", () => {
+    const alarms = [{ minutes: 15, related: "START", time: null }];
+
+    expect(makeWarntime(alarms, start, end)).to.equal(15);
+  });
+
+  it("should use the earliest alarm", () => {
+    const alarms = [
+      { minutes: 15, related: "START", time: null },
+      {
+        minutes: null,
+        related: "START",
+        time: new Date("2023-08-15T08:00:00Z"),
+      },
+    ];
+
+    expect(makeWarntime(alarms, start, end)).to.equal(60);
+  });
+
+  it("should allow for alarms related to the end of the event", () => {
+    const alarms = [{ minutes: 90, related: "END", time: null }];
+
+    expect(makeWarntime(alarms, start, end)).to.equal(30);
+  });
+
+  it("should ignore alarms after the event starts", () => {
+    const alarms = [
+      { minutes: -5, related: "START", time: null },
+      { minutes: 5, related: "END", time: null },
+    ];
+
+    expect(makeWarntime(alarms, start, end)).to.equal(null);
+  });
+
+  it("should return null when there are no alarms", () => {
+    expect(makeWarntime([], start, end)).to.equal(null);
+    expect(makeWarntime(undefined, start, end)).to.equal(null);
+  });
+});
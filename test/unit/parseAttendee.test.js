@@ -1,5 +1,5 @@
 import { expect } from "chai";
-import { parseAttendee } from "../../src/lib.js";
+import { parseAttendee, makeStatusTag } from "../../src/lib.js";
 
 describe("parseAttendee", () => {
   it("should correctly parse attendee data", () => {
@@ -98,4 +98,61 @@ describe("parseAttendee", () => {
       expect(result.status).to.equal(status);
     });
   });
+
+  it("should identify attendee as 'me' from the mailto address", () => {
+    const testData = { partstat: "TENTATIVE", cn: "John Doe (Work)" };
+
+    const result = parseAttendee(
+      testData,
+      "John Doe",
+      "john@example.com",
+      "mailto:John@Example.com",
+    );
+
+    expect(result.me).to.be.true;
+  });
+
+  it("should identify attendee as 'me' from an alias", () => {
+    const testData = { partstat: "NEEDS-ACTION", cn: "J Doe" };
+
+    expect(
+      parseAttendee(
+        testData,
+        "John Doe",
+        ["john@example.com", "jdoe@work.example.com"],
+        "mailto:jdoe@work.example.com",
+      ).me,
+    ).to.be.true;
+    expect(
+      parseAttendee(testData, "John Doe", ["john@example.com", "J Doe"]).me,
+    ).to.be.true;
+    expect(
+      parseAttendee(
+        testData,
+        "John Doe",
+        ["john@example.com"],
+        "mailto:jdoe@work.example.com",
+      ).me,
+    ).to.be.false;
+  });
+
+  it("should not identify attendee as 'me' when nothing is configured", () => {
+    const result = parseAttendee({ partstat: "ACCEPTED" }, "", "", "");
+
+    expect(result.me).to.be.false;
+  });
+
+  it("should read the attendee type from CUTYPE", () => {
+    const result = parseAttendee({ cutype: "ROOM", cn: "Room 1" }, "", "");
+
+    expect(result.category).to.equal("ROOM");
+  });
+});
+
+describe("makeStatusTag", () => {
+  it("should make org tags from participation status values", () => {
+    expect(makeStatusTag("NEEDS-ACTION")).to.equal("needs_action");
+    expect(makeStatusTag("TENTATIVE")).to.equal("tentative");
+    expect(makeStatusTag("DECLINED")).to.equal("declined");
+  });
 });
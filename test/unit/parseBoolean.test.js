@@ -0,0 +1,20 @@
+import { expect } from "chai";
+import { parseBoolean } from "../../src/lib.js";
+
+describe("parseBoolean", () => {
+  it("should treat true, yes, on and 1 as true", () => {
+    ["true", "yes", "on", "1", "TRUE", " Yes "].forEach((v) => {
+      expect(parseBoolean(v), v).to.equal(true);
+    });
+  });
+
+  it("should treat other values as false", () => {
+    ["false", "no", "0", "", "off"].forEach((v) => {
+      expect(parseBoolean(v), v).to.equal(false);
+    });
+  });
+
+  it("should treat undefined as false", () => {
+    expect(parseBoolean(undefined)).to.equal(false);
+  });
+});
@@ -176,4 +176,215 @@ describe("parseConfig", () => {
     expect(config.PAST).to.equal(0);
     expect(config.FUTURE).to.equal(0);
   });
+
+  it("should build named sources from SOURCES environment variable", () => {
+    process.env.SOURCES = "work,holidays";
+    process.env.SOURCE_WORK_ICS_FILE = "work.ics";
+    process.env.SOURCE_HOLIDAYS_ICS_FILE = "holidays.ics";
+
+    const config = parseConfig({ o: "output.org" }, "/home/user/.icsorgrc");
+
+    expect(config.SOURCES.map((s) => s.name)).to.deep.equal([
+      "work",
+      "holidays",
+    ]);
+  });
+
+  it("should use a single default source when -i is given", () => {
+    process.env.SOURCES = "work,holidays";
+
+    const config = parseConfig(
+      { i: "input.ics", o: "output.org" },
+      "/home/user/.icsorgrc",
+    );
+
+    expect(config.SOURCES).to.have.lengthOf(1);
+    expect(config.SOURCES[0].name).to.equal("default");
+    expect(config.SOURCES[0].icsFile).to.equal("input.ics");
+  });
+
+  it("should use default HTTP settings", () => {
+    const config = parseConfig({ i: "input.ics" }, "/home/user/.icsorgrc");
+
+    expect(config.HTTP_TIMEOUT).to.equal(30);
+    expect(config.HTTP_MAX_REDIRECTS).to.equal(5);
+    expect(config.HTTP_RETRIES).to.equal(2);
+    expect(config.HTTP_RETRY_DELAY).to.equal(1);
+  });
+
+  it("should read HTTP settings from environment", () => {
+    process.env.HTTP_TIMEOUT = "2.5";
+    process.env.HTTP_MAX_REDIRECTS = "0";
+    process.env.HTTP_RETRIES = "4";
+    process.env.HTTP_RETRY_DELAY = "0.5";
+
+    const config = parseConfig({ i: "input.ics" }, "/home/user/.icsorgrc");
+
+    expect(config.HTTP_TIMEOUT).to.equal(2.5);
+    expect(config.HTTP_MAX_REDIRECTS).to.equal(0);
+    expect(config.HTTP_RETRIES).to.equal(4);
+    expect(config.HTTP_RETRY_DELAY).to.equal(0.5);
+  });
+
+  it("should default TIMEZONE to the system time zone", () => {
+    delete process.env.TIMEZONE;
+    const config = parseConfig({ i: "input.ics", o: "output.org" }, "rc");
+
+    expect(config.TIMEZONE).to.equal(
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+    );
+  });
+
+  it("should read TIMEZONE from environment and use it for date ranges", () => {
+    process.env.TIMEZONE = "Asia/Tokyo";
+    const config = parseConfig({ i: "input.ics", o: "output.org" }, "rc");
+
+    expect(config.TIMEZONE).to.equal("Asia/Tokyo");
+    expect(config.START_DATE.zoneName).to.equal("Asia/Tokyo");
+    expect(config.END_DATE.zoneName).to.equal("Asia/Tokyo");
+  });
+
+  it("should read REPEATERS from environment", () => {
+    delete process.env.REPEATERS;
+    expect(parseConfig({ i: "input.ics" }, "rc").REPEATERS).to.equal(false);
+
+    process.env.REPEATERS = "yes";
+    expect(parseConfig({ i: "input.ics" }, "rc").REPEATERS).to.equal(true);
+  });
+
+  it("should read CANCELLED from environment", () => {
+    delete process.env.CANCELLED;
+    expect(parseConfig({ i: "input.ics" }, "rc").CANCELLED).to.equal("show");
+
+    process.env.CANCELLED = "Skip";
+    expect(parseConfig({ i: "input.ics" }, "rc").CANCELLED).to.equal("skip");
+  });
+
+  it("should read LAYOUT and TEMPLATE_FILE from environment", () => {
+    delete process.env.LAYOUT;
+    delete process.env.TEMPLATE_FILE;
+    let config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.LAYOUT).to.equal("flat");
+    expect(config.TEMPLATE_FILE).to.equal("");
+
+    process.env.LAYOUT = "DateTree";
+    process.env.TEMPLATE_FILE = "/tmp/icsorg.tmpl";
+    config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.LAYOUT).to.equal("datetree");
+    expect(config.TEMPLATE_FILE).to.equal("/tmp/icsorg.tmpl");
+  });
+
+  it("should read BACKUPS from environment", () => {
+    delete process.env.BACKUPS;
+    expect(parseConfig({ i: "input.ics" }, "rc").BACKUPS).to.equal(0);
+
+    process.env.BACKUPS = "5";
+    expect(parseConfig({ i: "input.ics" }, "rc").BACKUPS).to.equal(5);
+  });
+
+  it("should read MERGE and REMOVED from environment", () => {
+    delete process.env.MERGE;
+    delete process.env.REMOVED;
+    let config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.MERGE).to.equal(false);
+    expect(config.REMOVED).to.equal("delete");
+
+    process.env.MERGE = "yes";
+    process.env.REMOVED = "Archive";
+    config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.MERGE).to.equal(true);
+    expect(config.REMOVED).to.equal("archive");
+  });
+
+  it("should read SNAPSHOT_FILE from environment", () => {
+    delete process.env.SNAPSHOT_FILE;
+    expect(parseConfig({ i: "input.ics" }, "rc").SNAPSHOT_FILE).to.equal("");
+
+    process.env.SNAPSHOT_FILE = "/tmp/cal.json";
+    expect(parseConfig({ i: "input.ics" }, "rc").SNAPSHOT_FILE).to.equal(
+      "/tmp/cal.json",
+    );
+  });
+
+  it("should read PRIVACY and PRIVACY_KEEP from environment", () => {
+    delete process.env.PRIVACY;
+    delete process.env.PRIVACY_KEEP;
+    let config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.PRIVACY).to.equal("off");
+    expect(config.PRIVACY_KEEP).to.deep.equal([]);
+    expect(config.SOURCES[0].privacy).to.equal("off");
+
+    process.env.PRIVACY = "Busy";
+    process.env.PRIVACY_KEEP = "Location, summary,";
+    config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.PRIVACY).to.equal("busy");
+    expect(config.PRIVACY_KEEP).to.deep.equal(["location", "summary"]);
+    expect(config.SOURCES[0].privacy).to.equal("busy");
+  });
+
+  it("should read ALARM_TIMESTAMPS from environment", () => {
+    delete process.env.ALARM_TIMESTAMPS;
+    expect(parseConfig({ i: "input.ics" }, "rc").ALARM_TIMESTAMPS).to.equal(
+      false,
+    );
+
+    process.env.ALARM_TIMESTAMPS = "true";
+    expect(parseConfig({ i: "input.ics" }, "rc").ALARM_TIMESTAMPS).to.equal(
+      true,
+    );
+  });
+
+  it("should read ALIASES and SKIP_DECLINED from environment", () => {
+    delete process.env.ALIASES;
+    delete process.env.SKIP_DECLINED;
+    let config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.ALIASES).to.deep.equal([]);
+    expect(config.SKIP_DECLINED).to.equal(false);
+
+    process.env.ALIASES = "fred@work.example.com, Fred B,";
+    process.env.SKIP_DECLINED = "on";
+    config = parseConfig({ i: "input.ics" }, "rc");
+    expect(config.ALIASES).to.deep.equal(["fred@work.example.com", "Fred B"]);
+    expect(config.SKIP_DECLINED).to.equal(true);
+  });
+
+  it("should read MEETING_DETAILS from environment", () => {
+    delete process.env.MEETING_DETAILS;
+    expect(parseConfig({ i: "input.ics" }, "rc").MEETING_DETAILS).to.equal(
+      false,
+    );
+
+    process.env.MEETING_DETAILS = "1";
+    expect(parseConfig({ i: "input.ics" }, "rc").MEETING_DETAILS).to.equal(
+      true,
+    );
+  });
+
+  it("should use default tag mapping settings", () => {
+    delete process.env.CATEGORY_TAGS;
+    delete process.env.CLASS_TAGS;
+    delete process.env.TRANSP_TAGS;
+    const config = parseConfig({ i: "input.ics" }, "rc");
+
+    expect(config.CATEGORY_TAGS).to.equal(true);
+    expect(config.CLASS_TAGS).to.deep.equal({
+      PRIVATE: "private",
+      CONFIDENTIAL: "confidential",
+    });
+    expect(config.TRANSP_TAGS).to.deep.equal({ TRANSPARENT: "free" });
+  });
+
+  it("should read tag mapping settings from environment", () => {
+    process.env.CATEGORY_TAGS = "false";
+    process.env.CLASS_TAGS = "";
+    process.env.TRANSP_TAGS = "TRANSPARENT=free,OPAQUE=busy";
+    const config = parseConfig({ i: "input.ics" }, "rc");
+
+    expect(config.CATEGORY_TAGS).to.equal(false);
+    expect(config.CLASS_TAGS).to.deep.equal({});
+    expect(config.TRANSP_TAGS).to.deep.equal({
+      TRANSPARENT: "free",
+      OPAQUE: "busy",
+    });
+  });
 });
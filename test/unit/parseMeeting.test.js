@@ -0,0 +1,111 @@
+import { expect } from "chai";
+import { parseMeeting, isMeetingUrl } from "../../src/lib.js";
+import { makeEvent } from "../helpers/ical.js";
+
+const makeMeeting = (lines) =>
+  makeEvent(["DTSTART:20230815T090000Z", ...lines]);
+
+describe("isMeetingUrl", () => {
+  it("should recognise video conference services", () => {
+    [
+      "https://us02web.zoom.us/j/81234567890?pwd=abc",
+      "https://meet.google.com/abc-defg-hij",
+      "https://teams.microsoft.com/l/meetup-join/19%3ameeting",
+      "https://acme.webex.com/acme/j.php?MTID=m123",
+      "https://meet.jit.si/MyRoom",
+    ].forEach((u) => expect(isMeetingUrl(u), u).to.be.true);
+  });
+
+  it("should reject other links", () => {
+    expect(isMeetingUrl("https://example.com/agenda")).to.be.false;
+    expect(isMeetingUrl("https://zoom.us.example.com/j/1")).to.be.false;
+    expect(isMeetingUrl("not a url")).to.be.false;
+  });
+});
+
+describe("parseMeeting", () => {
+  it("should use X-GOOGLE-CONFERENCE", () => {
+    const meeting = parseMeeting(
+      makeMeeting([
+        "X-GOOGLE-CONFERENCE:https://meet.google.com/abc-defg-hij",
+        "URL:https://example.com/event",
+      ]),
+    );
+
+    expect(meeting.url).to.equal("https://meet.google.com/abc-defg-hij");
+  });
+
+  it("should use CONFERENCE properties for the link and phone number", () => {
+    const meeting = parseMeeting(
+      makeMeeting([
+        "CONFERENCE;VALUE=URI;FEATURE=PHONE:tel:+1-412-555-0123,,,555123",
+        "CONFERENCE;VALUE=URI;FEATURE=VIDEO:https://chat.example.com/audio?id=123456",
+      ]),
+    );
+
+    expect(meeting.url).to.equal("https://chat.example.com/audio?id=123456");
+    expect(meeting.phone).to.equal("+1-412-555-0123");
+  });
+
+  it("should use a meeting URL property but not other URLs", () => {
+    expect(
+      parseMeeting(makeMeeting(["URL:https://zoom.us/j/81234567890"])).url,
+    ).to.equal("https://zoom.us/j/81234567890");
+    expect(
+      parseMeeting(makeMeeting(["URL:https://example.com/event"])).url,
+    ).to.equal("");
+  });
+
+  it("should find the link and dial-in details in the description", () => {
+    const meeting = parseMeeting(
+      makeMeeting([
+        "DESCRIPTION:Agenda at https://example.com/agenda.\\n\\nJoin Zoom Meeting" +
+          "\\nhttps://us02web.zoom.us/j/81234567890?pwd=abc.\\n\\nMeeting ID: 812 345" +
+          " 6789\\nPasscode: 424242\\nDial by your location\\n +1 646 558 8656 US",
+      ]),
+    );
+
+    expect(meeting).to.deep.equal({
+      url: "https://us02web.zoom.us/j/81234567890?pwd=abc",
+      phone: "+1 646 558 8656",
+      meetingId: "812 345 6789",
+      passcode: "424242",
+    });
+  });
+
+  it("should only take whole words followed by a code as the passcode", () => {
+    const passcode = (text) =>
+      parseMeeting(makeMeeting([`DESCRIPTION:${text}`])).passcode;
+
+    expect(passcode("We value your opinion")).to.equal("");
+    expect(passcode("Passwords are not shared here")).to.equal("");
+    expect(passcode("Reset your password on the portal")).to.equal("");
+    expect(passcode("PIN# 9876")).to.equal("9876");
+    expect(passcode("Password: aB3xY")).to.equal("aB3xY");
+  });
+
+  it("should only take a meeting ID after the whole phrase", () => {
+    const meetingId = (text) =>
+      parseMeeting(makeMeeting([`DESCRIPTION:${text}`])).meetingId;
+
+    expect(meetingId("Our premeeting ID 55 is a room")).to.equal("");
+    expect(meetingId("Meeting ID# 812 345 6789")).to.equal("812 345 6789");
+  });
+
+  it("should find a link in the location", () => {
+    const meeting = parseMeeting(
+      makeMeeting(["LOCATION:https://meet.google.com/abc-defg-hij"]),
+    );
+
+    expect(meeting.url).to.equal("https://meet.google.com/abc-defg-hij");
+  });
+
+  it("should return empty values when there is no meeting", () => {
+    expect(parseMeeting(makeMeeting(["SUMMARY:Lunch"]))).to.deep.equal({
+      url: "",
+      phone: "",
+      meetingId: "",
+      passcode: "",
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { expect } from "chai";
+import { parseSources, splitTags } from "../../src/lib.js";
+
+describe("parseSources", () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (!(k in originalEnv)) delete process.env[k];
+    });
+    Object.assign(process.env, originalEnv);
+  });
+
+  it("should create a default source from ICS_FILE when no names given", () => {
+    const sources = parseSources(undefined, { ICS_FILE: "input.ics" });
+
+    expect(sources).to.have.lengthOf(1);
+    expect(sources[0].name).to.equal("default");
+    expect(sources[0].icsFile).to.equal("input.ics");
+    expect(sources[0].tags).to.deep.equal([]);
+  });
+
+  it("should return an empty list when no names and no ICS_FILE", () => {
+    expect(parseSources(undefined, {})).to.deep.equal([]);
+  });
+
+  it("should read settings for each named source from environment", () => {
+    process.env.SOURCE_WORK_ICS_FILE = "https://example.com/work.ics";
+    process.env.SOURCE_WORK_TAGS = "work:meeting";
+    process.env.SOURCE_WORK_CATEGORY = "WORK";
+    process.env.SOURCE_WORK_EXCLUDE = "^Busy$";
+    process.env.SOURCE_HOLIDAYS_ICS_FILE = "/tmp/holidays.ics";
+
+    const sources = parseSources("work, holidays", {});
+
+    expect(sources).to.have.lengthOf(2);
+    expect(sources[0]).to.deep.equal({
+      name: "work",
+      icsFile: "https://example.com/work.ics",
+      tags: ["work", "meeting"],
+      category: "WORK",
+      include: "",
+      exclude: "^Busy$",
+      type: "ics",
+      privacy: "off",
+      username: "",
+      password: "",
+      token: "",
+      headers: "",
+    });
+    expect(sources[1].name).to.equal("holidays");
+    expect(sources[1].icsFile).to.equal("/tmp/holidays.ics");
+    expect(sources[1].category).to.equal("");
+  });
+
+  it("should map non alphanumeric characters in names to underscores", () => {
+    process.env.SOURCE_ON_CALL_ICS_FILE = "oncall.ics";
+
+    const sources = parseSources("on-call", {});
+
+    expect(sources[0].name).to.equal("on-call");
+    expect(sources[0].icsFile).to.equal("oncall.ics");
+  });
+
+  it("should ignore empty names", () => {
+    const sources = parseSources("work,,", {});
+
+    expect(sources).to.have.lengthOf(1);
+  });
+
+  it("should read authentication settings for each named source", () => {
+    process.env.SOURCE_WORK_ICS_FILE = "https://example.com/work.ics";
+    process.env.SOURCE_WORK_USERNAME = "fred";
+    process.env.SOURCE_WORK_PASSWORD = "cmd:pass show work";
+    process.env.SOURCE_WORK_HEADERS = "X-Api-Key: env:API_KEY";
+
+    const [source] = parseSources("work", {});
+
+    expect(source.username).to.equal("fred");
+    expect(source.password).to.equal("cmd:pass show work");
+    expect(source.headers).to.equal("X-Api-Key: env:API_KEY");
+  });
+
+  it("should read ICS_ authentication settings for the default source", () => {
+    process.env.ICS_TOKEN = "env:CAL_TOKEN";
+
+    const [source] = parseSources(undefined, { ICS_FILE: "input.ics" });
+
+    expect(source.token).to.equal("env:CAL_TOKEN");
+  });
+
+  it("should read PRIVACY for each source, falling back to the global mode", () => {
+    process.env.SOURCE_WORK_PRIVACY = "Private";
+    process.env.ICS_PRIVACY = "busy";
+
+    const sources = parseSources("work, home", { PRIVACY: "busy" });
+
+    expect(sources[0].privacy).to.equal("private");
+    expect(sources[1].privacy).to.equal("busy");
+    expect(parseSources("home", {})[0].privacy).to.equal("off");
+    expect(
+      parseSources(undefined, { ICS_FILE: "input.ics" })[0].privacy,
+    ).to.equal("busy");
+  });
+});
+
+describe("splitTags", () => {
+  it("should split on colons, commas and whitespace", () => {
+    expect(splitTags(":work:meeting:")).to.deep.equal(["work", "meeting"]);
+    expect(splitTags("work, meeting")).to.deep.equal(["work", "meeting"]);
+    expect(splitTags("work meeting")).to.deep.equal(["work", "meeting"]);
+  });
+
+  it("should return an empty array for empty values", () => {
+    expect(splitTags("")).to.deep.equal([]);
+    expect(splitTags(undefined)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,69 @@
+import { expect } from "chai";
+import { resolveSecret } from "../../src/lib.js";
+import { writeFileSync, rmSync, mkdtempSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+
+describe("resolveSecret", () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    Object.keys(process.env).forEach((k) => {
+      if (!(k in originalEnv)) delete process.env[k];
+    });
+    Object.assign(process.env, originalEnv);
+  });
+
+  it("should return plain values unchanged", async () => {
+    expect(await resolveSecret("hunter2")).to.equal("hunter2");
+  });
+
+  it("should return empty values unchanged", async () => {
+    expect(await resolveSecret("")).to.equal("");
+    expect(await resolveSecret(undefined)).to.equal(undefined);
+  });
+
+  it("should read env: secrets from environment variables", async () => {
+    process.env.ICSORG_TEST_SECRET = "from-env";
+
+    expect(await resolveSecret("env:ICSORG_TEST_SECRET")).to.equal("from-env");
+  });
+
+  it("should throw when env: variable is not set", async () => {
+    delete process.env.ICSORG_TEST_SECRET;
+    try {
+      await resolveSecret("env:ICSORG_TEST_SECRET");
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("ICSORG_TEST_SECRET not set");
+    }
+  });
+
+  it("should read file: secrets and trim whitespace", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "icsorg-secret-"));
+    const file = join(dir, "secret");
+    writeFileSync(file, "from-file\n");
+    try {
+      expect(await resolveSecret(`file:${file}`)).to.equal("from-file");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should read cmd: secrets from command output", async () => {
+    expect(await resolveSecret("cmd:echo from-cmd")).to.equal("from-cmd");
+  });
+
+  it("should throw when cmd: command fails", async () => {
+    try {
+      await resolveSecret("cmd:exit 3");
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include("resolveSecret: command failed");
+    }
+  });
+});
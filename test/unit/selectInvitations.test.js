@@ -0,0 +1,94 @@
+import { expect } from "chai";
+import { selectInvitations } from "../../src/lib.js";
+
+const calendar = (method, uid, sequence, dtstamp, summary, extra = []) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${dtstamp}`,
+    "DTSTART:20230815T090000Z",
+    `SUMMARY:${summary}`,
+    ...extra,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+describe("selectInvitations", () => {
+  it("should keep the invitation with the highest SEQUENCE", () => {
+    const result = selectInvitations([
+      calendar("REQUEST", "uid-1", 2, "20230801T100000Z", "Latest"),
+      calendar("REQUEST", "uid-1", 1, "20230805T100000Z", "Older"),
+    ]);
+
+    expect(result).to.include("SUMMARY:Latest");
+    expect(result).to.not.include("SUMMARY:Older");
+  });
+
+  it("should use DTSTAMP when SEQUENCE is the same", () => {
+    const result = selectInvitations([
+      calendar("REQUEST", "uid-1", 0, "20230805T100000Z", "Latest"),
+      calendar("REQUEST", "uid-1", 0, "20230801T100000Z", "Older"),
+    ]);
+
+    expect(result).to.include("SUMMARY:Latest");
+    expect(result).to.not.include("SUMMARY:Older");
+  });
+
+  it("should drop events cancelled by a later CANCEL", () => {
+    const result = selectInvitations([
+      calendar("REQUEST", "uid-1", 0, "20230801T100000Z", "Meeting"),
+      calendar("CANCEL", "uid-1", 1, "20230802T100000Z", "Meeting"),
+      calendar("REQUEST", "uid-2", 0, "20230801T100000Z", "Other"),
+    ]);
+
+    expect(result).to.not.include("UID:uid-1");
+    expect(result).to.include("UID:uid-2");
+  });
+
+  it("should keep a REQUEST which is later than a CANCEL", () => {
+    const result = selectInvitations([
+      calendar("CANCEL", "uid-1", 1, "20230802T100000Z", "Meeting"),
+      calendar("REQUEST", "uid-1", 2, "20230803T100000Z", "Rescheduled"),
+    ]);
+
+    expect(result).to.include("SUMMARY:Rescheduled");
+  });
+
+  it("should mark cancelled instances of recurring events as CANCELLED", () => {
+    const result = selectInvitations([
+      calendar("REQUEST", "uid-1", 0, "20230801T100000Z", "Weekly", [
+        "RRULE:FREQ=WEEKLY",
+      ]),
+      calendar("CANCEL", "uid-1", 1, "20230802T100000Z", "Weekly", [
+        "RECURRENCE-ID:20230822T090000Z",
+      ]),
+    ]);
+
+    expect(result).to.include("RRULE:FREQ=WEEKLY");
+    expect(result).to.include("RECURRENCE-ID:20230822T090000Z");
+    expect(result).to.include("STATUS:CANCELLED");
+  });
+
+  it("should ignore REPLY calendars", () => {
+    const result = selectInvitations([
+      calendar("REQUEST", "uid-1", 0, "20230801T100000Z", "Meeting"),
+      calendar("REPLY", "uid-1", 5, "20230802T100000Z", "Reply"),
+    ]);
+
+    expect(result).to.include("SUMMARY:Meeting");
+    expect(result).to.not.include("SUMMARY:Reply");
+  });
+
+  it("should skip invalid calendars", () => {
+    const result = selectInvitations([
+      "BEGIN:VCALENDAR\r\nthis is not valid",
+      calendar("REQUEST", "uid-1", 0, "20230801T100000Z", "Meeting"),
+    ]);
+
+    expect(result).to.include("SUMMARY:Meeting");
+  });
+});
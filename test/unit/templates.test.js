@@ -0,0 +1,195 @@
+import { expect } from "chai";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import {
+  parseTemplates,
+  loadTemplates,
+  renderTemplate,
+  dumpTemplate,
+  setTimezone,
+} from "../../src/lib.js";
+
+describe("parseTemplates", () => {
+  it("should split the text into sections", () => {
+    const templates = parseTemplates(
+      [
+        "Ignored introduction",
+        "#+TEMPLATE: header",
+        "#+TITLE: {{TITLE}}",
+        "",
+        "#+template: Event",
+        "* {{summary}}",
+        "",
+      ].join("\n"),
+    );
+
+    expect(templates).to.deep.equal({
+      header: "#+TITLE: {{TITLE}}\n\n",
+      event: "* {{summary}}\n",
+    });
+  });
+
+  it("should throw an error for an unknown section", () => {
+    expect(() => parseTemplates("#+TEMPLATE: footer\n")).to.throw(
+      /parseTemplates: Unknown template section 'footer'/,
+    );
+  });
+});
+
+describe("loadTemplates", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "icsorg-test-"));
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should read and parse a template file", async () => {
+    const file = join(tmpDir, "templates.org");
+    writeFileSync(file, "#+TEMPLATE: todo\r\n* TODO {{summary}}\r\n");
+
+    expect(await loadTemplates(file)).to.deep.equal({
+      todo: "* TODO {{summary}}\n",
+    });
+  });
+
+  it("should throw an error naming a missing file", async () => {
+    const file = join(tmpDir, "missing.org");
+    try {
+      await loadTemplates(file);
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.message).to.include(`loadTemplates: ${file}`);
+    }
+  });
+});
+
+describe("renderTemplate", () => {
+  it("should replace fields with their values", () => {
+    expect(
+      renderTemplate("* {{ summary }} {{tags}} {{meeting.url}}\n", {
+        summary: "Planning",
+        tags: ["work", "meeting"],
+        meeting: { url: "https://zoom.us/j/1" },
+      }),
+    ).to.equal("* Planning work, meeting https://zoom.us/j/1\n");
+  });
+
+  it("should call helpers with fields and literals", () => {
+    expect(
+      renderTemplate("{{makeTag summary}}{{orgTags tags}} {{makeTag 'a b'}}", {
+        summary: "Team sync",
+        tags: ["work"],
+      }),
+    ).to.equal("Team_sync :work: a_b");
+  });
+
+  it("should not call a helper whose first argument is empty", () => {
+    expect(
+      renderTemplate("{{uid}} [{{formatDescription description}}]", {
+        uid: "a1",
+      }),
+    ).to.equal("a1 []");
+  });
+
+  it("should leave out lines whose expressions are all empty", () => {
+    const template = ":ID: {{uid}}\n:LOCATION: {{location}}\n:X: {{false}}\n";
+
+    expect(renderTemplate(template, { uid: "a1", location: "" })).to.equal(
+      ":ID: a1\n",
+    );
+  });
+
+  it("should treat unknown fields as empty", () => {
+    expect(
+      renderTemplate("{{uid}} [{{seriesId}}] [{{meeting.url}}]", { uid: "a1" }),
+    ).to.equal("a1 [] []");
+  });
+
+  it("should not evaluate code or reach globals and prototypes", () => {
+    expect(
+      renderTemplate(
+        "{{summary}} [{{process}}] [{{summary.constructor}}] [{{e.__proto__}}]",
+        { summary: "x", e: {} },
+      ),
+    ).to.equal("x [] [] []");
+    expect(() => renderTemplate("{{process.exit(1)}}", {})).to.throw(
+      /Invalid argument 'process\.exit\(1\)'/,
+    );
+    expect(() => renderTemplate("{{eval summary}}", {})).to.throw(
+      /Unknown helper 'eval'/,
+    );
+    expect(() => renderTemplate("{{constructor summary}}", {})).to.throw(
+      /Unknown helper 'constructor'/,
+    );
+  });
+
+  it("should report the failing expression", () => {
+    expect(() => renderTemplate("{{summary x}}", { summary: "" })).to.throw(
+      /renderTemplate: Error in \{\{summary x\}\}: Unknown helper/,
+    );
+  });
+});
+
+describe("dumpTemplate", () => {
+  before(() => setTimezone("UTC"));
+  after(() => setTimezone("system"));
+
+  it("should render events and their children with helpers", () => {
+    const rs = [];
+    const event = {
+      summary: "Standup",
+      uid: "s1",
+      status: "CONFIRMED",
+      tags: ["work"],
+      startDate: new Date("2024-01-15T10:00:00Z"),
+      endDate: new Date("2024-01-15T10:15:00Z"),
+      organizer: "mailto:boss@example.com",
+      children: [
+        {
+          summary: "Standup",
+          uid: "s1",
+          status: "CANCELLED",
+          tags: [],
+          startDate: new Date("2024-01-16T10:00:00Z"),
+          endDate: new Date("2024-01-16T10:15:00Z"),
+        },
+      ],
+    };
+
+    dumpTemplate(
+      event,
+      rs,
+      [
+        "{{stars}} {{keyword}}{{makeTimestampRange startDate endDate}} {{summary}}{{orgTags tags}}",
+        ":ORGANIZER: {{makeMailtoLink organizer}}",
+      ].join("\n"),
+    );
+
+    expect(rs).to.deep.equal([
+      "* <2024-01-15 Mon 10:00-10:15> Standup :work:\n:ORGANIZER: [[mailto:boss@example.com][boss@example.com]]\n",
+      "** CANCELLED <2024-01-16 Tue 10:00-10:15> Standup\n",
+    ]);
+  });
+
+  it("should give to-dos a TODO or DONE keyword", () => {
+    const rs = [];
+
+    dumpTemplate(
+      { type: "todo", summary: "A", status: "COMPLETED" },
+      rs,
+      "* {{keyword}}{{summary}}\n",
+    );
+    dumpTemplate(
+      { type: "todo", summary: "B", status: "NEEDS-ACTION" },
+      rs,
+      "* {{keyword}}{{summary}}\n",
+    );
+
+    expect(rs).to.deep.equal(["* DONE A\n", "* TODO B\n"]);
+  });
+});
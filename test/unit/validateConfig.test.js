@@ -152,4 +152,225 @@ describe("validateConfig", () => {
 
     expect(() => validateConfig(config)).to.not.throw();
   });
+
+  it("should accept SOURCES in place of ICS_FILE", () => {
+    const config = {
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      SOURCES: [
+        {
+          name: "work",
+          icsFile: "work.ics",
+          type: "ics",
+          include: "",
+          exclude: "",
+        },
+      ],
+    };
+
+    expect(() => validateConfig(config)).to.not.throw();
+  });
+
+  it("should throw error when a source has no ICS_FILE", () => {
+    const config = {
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      SOURCES: [{ name: "on-call", include: "", exclude: "" }],
+    };
+
+    expect(() => validateConfig(config)).to.throw(
+      /Missing ICS_FILE for source 'on-call'.*SOURCE_ON_CALL_ICS_FILE/,
+    );
+  });
+
+  it("should throw error when a source filter is not a valid regexp", () => {
+    const config = {
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      SOURCES: [
+        { name: "work", icsFile: "work.ics", include: "(", exclude: "" },
+      ],
+    };
+
+    expect(() => validateConfig(config)).to.throw(
+      /Invalid SOURCE_WORK_INCLUDE value/,
+    );
+  });
+
+  it("should throw error when OFFLINE_FALLBACK is set without CACHE_DIR", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      OFFLINE_FALLBACK: true,
+      CACHE_DIR: "",
+    };
+
+    expect(() => validateConfig(config)).to.throw(
+      /OFFLINE_FALLBACK requires CACHE_DIR/,
+    );
+  });
+
+  it("should throw error when an HTTP setting is invalid", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      HTTP_TIMEOUT: NaN,
+      HTTP_RETRIES: -1,
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid HTTP_TIMEOUT value/);
+    expect(() => validateConfig(config)).to.throw(/Invalid HTTP_RETRIES value/);
+  });
+
+  it("should throw error when TIMEZONE is not a known zone", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      TIMEZONE: "Mars/Olympus_Mons",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid TIMEZONE value/);
+  });
+
+  it("should accept a valid TIMEZONE", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      TIMEZONE: "Europe/Berlin",
+    };
+
+    expect(() => validateConfig(config)).to.not.throw();
+  });
+
+  it("should throw error when CANCELLED is not show or skip", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      CANCELLED: "hide",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid CANCELLED value/);
+  });
+
+  it("should throw error when ATTENDEES is not a known format", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      ATTENDEES: "csv",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid ATTENDEES value/);
+  });
+
+  it("should throw error when PRIVACY is not a known mode", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      PRIVACY: "hidden",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid PRIVACY value/);
+  });
+
+  it("should throw error when PRIVACY_KEEP names an unknown field", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      PRIVACY: "busy",
+      PRIVACY_KEEP: ["location", "phone"],
+    };
+
+    expect(() => validateConfig(config)).to.throw(
+      /Invalid PRIVACY_KEEP field: phone/,
+    );
+  });
+
+  it("should throw error when a source PRIVACY is not a known mode", () => {
+    const config = {
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      SOURCES: [
+        {
+          name: "work",
+          icsFile: "work.ics",
+          include: "",
+          exclude: "",
+          type: "ics",
+          privacy: "secret",
+        },
+      ],
+    };
+
+    expect(() => validateConfig(config)).to.throw(
+      /Invalid SOURCE_WORK_PRIVACY value/,
+    );
+  });
+
+  it("should throw error when LAYOUT is not a known layout", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      LAYOUT: "tree",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid LAYOUT value/);
+  });
+
+  it("should throw error when REMOVED is not a known mode", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      REMOVED: "hide",
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid REMOVED value/);
+  });
+
+  it("should throw error when MERGE is used with standard output", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "-",
+      PAST: 7,
+      FUTURE: 365,
+      MERGE: true,
+    };
+
+    expect(() => validateConfig(config)).to.throw(/MERGE cannot be used/);
+  });
+
+  it("should throw error when BACKUPS is negative", () => {
+    const config = {
+      ICS_FILE: "input.ics",
+      ORG_FILE: "output.org",
+      PAST: 7,
+      FUTURE: 365,
+      BACKUPS: -1,
+    };
+
+    expect(() => validateConfig(config)).to.throw(/Invalid BACKUPS value/);
+  });
 });
@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import {
+  mkdtempSync,
+  rmSync,
+  readFileSync,
+  writeFileSync,
+  readdirSync,
+  statSync,
+  utimesSync,
+  symlinkSync,
+  lstatSync,
+} from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
+import { writeOrgFile } from "../../src/lib.js";
+
+describe("writeOrgFile", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "icsorg-test-"));
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should write a new file and leave no temporary file", async () => {
+    const file = join(tmpDir, "cal.org");
+
+    expect(await writeOrgFile(file, "* One\n")).to.equal(true);
+
+    expect(readFileSync(file, "utf-8")).to.equal("* One\n");
+    expect(readdirSync(tmpDir)).to.deep.equal(["cal.org"]);
+  });
+
+  it("should not touch a file which already has the same contents", async () => {
+    const file = join(tmpDir, "cal.org");
+    writeFileSync(file, "* One\n");
+    const past = new Date("2024-01-01T00:00:00Z");
+    utimesSync(file, past, past);
+
+    expect(await writeOrgFile(file, "* One\n", { backups: 2 })).to.equal(false);
+
+    expect(statSync(file).mtime.getTime()).to.equal(past.getTime());
+    expect(readdirSync(tmpDir)).to.deep.equal(["cal.org"]);
+  });
+
+  it("should keep the newest backups of the previous file", async () => {
+    const file = join(tmpDir, "cal.org");
+    writeFileSync(file, "* Current\n");
+    writeFileSync(join(tmpDir, "cal.org.20240101T000000.bak"), "* Oldest\n");
+    writeFileSync(join(tmpDir, "cal.org.20240102T000000.bak"), "* Older\n");
+    writeFileSync(join(tmpDir, "other.org.20240101T000000.bak"), "");
+
+    await writeOrgFile(file, "* New\n", { backups: 2 });
+
+    const backups = readdirSync(tmpDir)
+      .filter((f) => f.startsWith("cal.org."))
+      .sort();
+    expect(backups).to.have.lengthOf(2);
+    expect(backups[0]).to.equal("cal.org.20240102T000000.bak");
+    expect(readFileSync(join(tmpDir, backups[1]), "utf-8")).to.equal(
+      "* Current\n",
+    );
+    expect(readdirSync(tmpDir)).to.include("other.org.20240101T000000.bak");
+    expect(readFileSync(file, "utf-8")).to.equal("* New\n");
+  });
+
+  it("should replace the target of a symbolic link", async () => {
+    const file = join(tmpDir, "cal.org");
+    const link = join(tmpDir, "link.org");
+    writeFileSync(file, "* Old\n");
+    symlinkSync(file, link);
+
+    await writeOrgFile(link, "* New\n");
+
+    expect(lstatSync(link).isSymbolicLink()).to.equal(true);
+    expect(readFileSync(file, "utf-8")).to.equal("* New\n");
+  });
+
+  it("should reject when the directory does not exist", async () => {
+    try {
+      await writeOrgFile(join(tmpDir, "missing", "cal.org"), "* One\n");
+      expect.fail("Should have thrown an error");
+    } catch (err) {
+      expect(err.code).to.equal("ENOENT");
+    }
+    expect(readdirSync(tmpDir)).to.deep.equal([]);
+  });
+});